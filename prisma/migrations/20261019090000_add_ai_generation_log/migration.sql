@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "Quiz" ADD COLUMN     "generationId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "FlashcardSet" ADD COLUMN     "generationId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "AiGeneration" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER,
+    "kind" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "provider" TEXT,
+    "attemptCount" INTEGER NOT NULL,
+    "attempts" JSONB NOT NULL DEFAULT '[]',
+    "durationMs" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AiGeneration_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AiGeneration_userId_idx" ON "AiGeneration"("userId");
+
+-- CreateIndex
+CREATE INDEX "AiGeneration_createdAt_idx" ON "AiGeneration"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Quiz" ADD CONSTRAINT "Quiz_generationId_fkey" FOREIGN KEY ("generationId") REFERENCES "AiGeneration"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "FlashcardSet" ADD CONSTRAINT "FlashcardSet_generationId_fkey" FOREIGN KEY ("generationId") REFERENCES "AiGeneration"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AiGeneration" ADD CONSTRAINT "AiGeneration_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
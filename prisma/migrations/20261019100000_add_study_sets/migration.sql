@@ -0,0 +1,42 @@
+-- CreateTable
+CREATE TABLE "StudySet" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "summary" TEXT NOT NULL,
+    "podcastScript" JSONB NOT NULL DEFAULT '[]',
+    "flashcards" JSONB NOT NULL DEFAULT '[]',
+    "quiz" JSONB NOT NULL DEFAULT '[]',
+    "sourceExcerpt" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "generationId" INTEGER,
+    "flashcardSetId" INTEGER,
+    "quizId" INTEGER,
+
+    CONSTRAINT "StudySet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudySet_flashcardSetId_key" ON "StudySet"("flashcardSetId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StudySet_quizId_key" ON "StudySet"("quizId");
+
+-- CreateIndex
+CREATE INDEX "StudySet_userId_idx" ON "StudySet"("userId");
+
+-- CreateIndex
+CREATE INDEX "StudySet_createdAt_idx" ON "StudySet"("createdAt");
+
+-- AddForeignKey
+ALTER TABLE "StudySet" ADD CONSTRAINT "StudySet_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudySet" ADD CONSTRAINT "StudySet_generationId_fkey" FOREIGN KEY ("generationId") REFERENCES "AiGeneration"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudySet" ADD CONSTRAINT "StudySet_flashcardSetId_fkey" FOREIGN KEY ("flashcardSetId") REFERENCES "FlashcardSet"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "StudySet" ADD CONSTRAINT "StudySet_quizId_fkey" FOREIGN KEY ("quizId") REFERENCES "Quiz"("id") ON DELETE SET NULL ON UPDATE CASCADE;
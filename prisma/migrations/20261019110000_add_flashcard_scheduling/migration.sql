@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "Flashcard" ADD COLUMN     "dueAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "easeFactor" DOUBLE PRECISION NOT NULL DEFAULT 2.5,
+ADD COLUMN     "interval" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lapses" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "repetitions" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateIndex
+CREATE INDEX "Flashcard_dueAt_idx" ON "Flashcard"("dueAt");
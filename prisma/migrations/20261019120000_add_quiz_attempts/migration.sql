@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "QuizAttempt" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "quizId" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'in_progress',
+    "answers" JSONB NOT NULL DEFAULT '{}',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "resultId" INTEGER,
+
+    CONSTRAINT "QuizAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "QuizAttempt_resultId_key" ON "QuizAttempt"("resultId");
+
+-- CreateIndex
+CREATE INDEX "QuizAttempt_userId_idx" ON "QuizAttempt"("userId");
+
+-- CreateIndex
+CREATE INDEX "QuizAttempt_quizId_idx" ON "QuizAttempt"("quizId");
+
+-- AddForeignKey
+ALTER TABLE "QuizAttempt" ADD CONSTRAINT "QuizAttempt_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizAttempt" ADD CONSTRAINT "QuizAttempt_quizId_fkey" FOREIGN KEY ("quizId") REFERENCES "Quiz"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "QuizAttempt" ADD CONSTRAINT "QuizAttempt_resultId_fkey" FOREIGN KEY ("resultId") REFERENCES "QuizResult"("id") ON DELETE SET NULL ON UPDATE CASCADE;
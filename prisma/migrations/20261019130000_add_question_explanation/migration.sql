@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Question" ADD COLUMN     "explanation" TEXT;
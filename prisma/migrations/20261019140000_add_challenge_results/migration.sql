@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "Challenge" ADD COLUMN     "completedAt" TIMESTAMP(3),
+ADD COLUMN     "winnerId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "ChallengeResult" (
+    "id" SERIAL NOT NULL,
+    "challengeId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "score" INTEGER NOT NULL,
+    "totalQuestions" INTEGER NOT NULL,
+    "timeTaken" INTEGER,
+    "quizResultId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ChallengeResult_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChallengeResult_quizResultId_key" ON "ChallengeResult"("quizResultId");
+
+-- CreateIndex
+CREATE INDEX "ChallengeResult_userId_idx" ON "ChallengeResult"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChallengeResult_challengeId_userId_key" ON "ChallengeResult"("challengeId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "Challenge" ADD CONSTRAINT "Challenge_winnerId_fkey" FOREIGN KEY ("winnerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeResult" ADD CONSTRAINT "ChallengeResult_challengeId_fkey" FOREIGN KEY ("challengeId") REFERENCES "Challenge"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeResult" ADD CONSTRAINT "ChallengeResult_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ChallengeResult" ADD CONSTRAINT "ChallengeResult_quizResultId_fkey" FOREIGN KEY ("quizResultId") REFERENCES "QuizResult"("id") ON DELETE SET NULL ON UPDATE CASCADE;
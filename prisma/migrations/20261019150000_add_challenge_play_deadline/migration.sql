@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Challenge" ADD COLUMN     "playDeadline" TIMESTAMP(3);
+
+-- Backfill: challenges already accepted get the default 24h to play
+UPDATE "Challenge" SET "playDeadline" = "acceptedAt" + INTERVAL '24 hours'
+WHERE "status" = 'accepted' AND "acceptedAt" IS NOT NULL;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Challenge" ADD COLUMN     "reminderSentAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Challenge_status_expiresAt_idx" ON "Challenge"("status", "expiresAt");
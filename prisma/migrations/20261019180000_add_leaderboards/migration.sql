@@ -0,0 +1,56 @@
+-- AlterTable
+ALTER TABLE "Quiz" ADD COLUMN     "topic" TEXT;
+
+-- AlterTable
+ALTER TABLE "QuizResult" ADD COLUMN     "topic" TEXT;
+
+-- CreateTable
+CREATE TABLE "LeaderboardEntry" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "period" TEXT NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "topic" TEXT NOT NULL DEFAULT '',
+    "points" INTEGER NOT NULL DEFAULT 0,
+    "answered" INTEGER NOT NULL DEFAULT 0,
+    "accuracy" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "quizzes" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "LeaderboardEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LeaderboardEntry_period_periodStart_topic_points_accuracy_idx" ON "LeaderboardEntry"("period", "periodStart", "topic", "points", "accuracy");
+
+-- CreateIndex
+CREATE INDEX "LeaderboardEntry_userId_idx" ON "LeaderboardEntry"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LeaderboardEntry_period_periodStart_topic_userId_key" ON "LeaderboardEntry"("period", "periodStart", "topic", "userId");
+
+-- AddForeignKey
+ALTER TABLE "LeaderboardEntry" ADD CONSTRAINT "LeaderboardEntry_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Backfill all-topic totals from existing results (date_trunc weeks start on Monday).
+-- Same rule as new results: only a user's first result on a quiz they don't own counts.
+WITH "eligible" AS (
+    SELECT DISTINCT ON (r."userId", r."quizId") r."userId", r."score", r."totalQuestions", r."createdAt"
+    FROM "QuizResult" r
+    JOIN "Quiz" q ON q."id" = r."quizId"
+    WHERE q."userId" IS DISTINCT FROM r."userId"
+    ORDER BY r."userId", r."quizId", r."createdAt", r."id"
+)
+INSERT INTO "LeaderboardEntry" ("userId", "period", "periodStart", "topic", "points", "answered", "accuracy", "quizzes", "updatedAt")
+SELECT "userId", "period", "periodStart", '',
+       SUM("score"), SUM("totalQuestions"),
+       CASE WHEN SUM("totalQuestions") > 0 THEN SUM("score")::float / SUM("totalQuestions") ELSE 0 END,
+       COUNT(*), CURRENT_TIMESTAMP
+FROM (
+    SELECT "userId", "score", "totalQuestions", 'all' AS "period", TIMESTAMP '1970-01-01' AS "periodStart" FROM "eligible"
+    UNION ALL
+    SELECT "userId", "score", "totalQuestions", 'week', date_trunc('week', "createdAt") FROM "eligible"
+    UNION ALL
+    SELECT "userId", "score", "totalQuestions", 'month', date_trunc('month', "createdAt") FROM "eligible"
+) AS results
+GROUP BY "userId", "period", "periodStart";
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "rating" INTEGER NOT NULL DEFAULT 1200;
+
+-- CreateTable
+CREATE TABLE "RatingHistory" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "challengeId" INTEGER NOT NULL,
+    "opponentId" INTEGER NOT NULL,
+    "result" TEXT NOT NULL,
+    "ratingBefore" INTEGER NOT NULL,
+    "ratingAfter" INTEGER NOT NULL,
+    "change" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RatingHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "User_rating_idx" ON "User"("rating");
+
+-- CreateIndex
+CREATE INDEX "RatingHistory_userId_createdAt_idx" ON "RatingHistory"("userId", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RatingHistory_challengeId_userId_key" ON "RatingHistory"("challengeId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "RatingHistory" ADD CONSTRAINT "RatingHistory_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingHistory" ADD CONSTRAINT "RatingHistory_opponentId_fkey" FOREIGN KEY ("opponentId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "RatingHistory" ADD CONSTRAINT "RatingHistory_challengeId_fkey" FOREIGN KEY ("challengeId") REFERENCES "Challenge"("id") ON DELETE CASCADE ON UPDATE CASCADE;
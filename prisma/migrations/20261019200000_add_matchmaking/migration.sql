@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "isBot" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "MatchmakingTicket" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "topic" TEXT NOT NULL,
+    "topicKey" TEXT NOT NULL,
+    "difficulty" TEXT NOT NULL,
+    "rating" INTEGER NOT NULL,
+    "ratingBand" INTEGER,
+    "status" TEXT NOT NULL DEFAULT 'waiting',
+    "vsBot" BOOLEAN NOT NULL DEFAULT false,
+    "challengeId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "matchedAt" TIMESTAMP(3),
+
+    CONSTRAINT "MatchmakingTicket_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "MatchmakingTicket_status_topicKey_difficulty_createdAt_idx" ON "MatchmakingTicket"("status", "topicKey", "difficulty", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "MatchmakingTicket_userId_status_idx" ON "MatchmakingTicket"("userId", "status");
+
+-- AddForeignKey
+ALTER TABLE "MatchmakingTicket" ADD CONSTRAINT "MatchmakingTicket_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "MatchmakingTicket" ADD CONSTRAINT "MatchmakingTicket_challengeId_fkey" FOREIGN KEY ("challengeId") REFERENCES "Challenge"("id") ON DELETE SET NULL ON UPDATE CASCADE;
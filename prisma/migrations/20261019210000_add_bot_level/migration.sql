@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "botLevel" TEXT;
+
+-- Bots created before levels were stored
+UPDATE "User" SET "botLevel" = substring("email" from '^bot-(easy|medium|hard)@')
+WHERE "isBot" = true AND "botLevel" IS NULL;
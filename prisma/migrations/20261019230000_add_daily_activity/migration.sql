@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "currentStreak" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastActiveDate" TIMESTAMP(3),
+ADD COLUMN     "longestStreak" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "streakFreezes" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "UserSettings" ADD COLUMN     "dailyCardGoal" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "dailyMinutesGoal" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "dailyQuizGoal" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "timezone" TEXT NOT NULL DEFAULT 'UTC';
+
+-- CreateTable
+CREATE TABLE "DailyActivity" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "date" TIMESTAMP(3) NOT NULL,
+    "quizzesTaken" INTEGER NOT NULL DEFAULT 0,
+    "cardsReviewed" INTEGER NOT NULL DEFAULT 0,
+    "secondsStudied" INTEGER NOT NULL DEFAULT 0,
+    "goalMet" BOOLEAN NOT NULL DEFAULT false,
+    "frozen" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DailyActivity_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DailyActivity_userId_date_key" ON "DailyActivity"("userId", "date");
+
+-- AddForeignKey
+ALTER TABLE "DailyActivity" ADD CONSTRAINT "DailyActivity_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "UserSettings" ADD COLUMN     "quietHoursEnd" TEXT,
+ADD COLUMN     "quietHoursStart" TEXT,
+ADD COLUMN     "reminderTime" TEXT NOT NULL DEFAULT '18:00',
+ADD COLUMN     "remindersEnabled" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "ReminderLog" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "kind" TEXT NOT NULL,
+    "refKey" TEXT NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReminderLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReminderLog_sentAt_idx" ON "ReminderLog"("sentAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ReminderLog_userId_kind_refKey_key" ON "ReminderLog"("userId", "kind", "refKey");
+
+-- AddForeignKey
+ALTER TABLE "ReminderLog" ADD CONSTRAINT "ReminderLog_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "sessionVersion" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "passwordResetCode" TEXT,
+ADD COLUMN     "passwordResetExpires" TIMESTAMP(3),
+ADD COLUMN     "passwordResetAttempts" INTEGER NOT NULL DEFAULT 0;
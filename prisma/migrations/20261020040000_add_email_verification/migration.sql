@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "emailVerifiedAt" TIMESTAMP(3),
+ADD COLUMN     "emailVerificationCode" TEXT,
+ADD COLUMN     "emailVerificationExpires" TIMESTAMP(3),
+ADD COLUMN     "emailVerificationAttempts" INTEGER NOT NULL DEFAULT 0;
+
+-- Accounts created before verification existed keep everything they could do
+UPDATE "User" SET "emailVerifiedAt" = "createdAt";
@@ -0,0 +1,8 @@
+-- DropForeignKey
+ALTER TABLE "Quiz" DROP CONSTRAINT "Quiz_userId_fkey";
+
+-- AlterTable
+ALTER TABLE "Quiz" ALTER COLUMN "userId" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "Quiz" ADD CONSTRAINT "Quiz_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
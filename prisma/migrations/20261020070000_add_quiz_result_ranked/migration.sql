@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "QuizResult" ADD COLUMN     "ranked" BOOLEAN NOT NULL DEFAULT false;
+
+-- Backfill: a user's first result on each quiz they don't own is ranked
+UPDATE "QuizResult" SET "ranked" = true
+WHERE "id" IN (
+    SELECT DISTINCT ON (r."userId", r."quizId") r."id"
+    FROM "QuizResult" r
+    JOIN "Quiz" q ON q."id" = r."quizId"
+    WHERE q."userId" IS DISTINCT FROM r."userId"
+    ORDER BY r."userId", r."quizId", r."createdAt", r."id"
+);
@@ -0,0 +1,36 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import prisma from "../config/prisma.js";
+import { getUserAchievements } from "../services/achievement.service.js";
+import { hiddenUserIds } from "../services/friend.service.js";
+
+// --- My Achievements ---
+// Every achievement with earned/earnedAt, so the app can show locked badges too
+export const getMyAchievements = asyncHandler(async (req, res) => {
+  const achievements = await getUserAchievements(req.userId);
+
+  res.json({
+    earnedCount: achievements.filter((a) => a.earned).length,
+    total: achievements.length,
+    achievements,
+  });
+});
+
+// --- Another User's Achievements ---
+// Only the earned ones
+export const getUserAchievementsById = asyncHandler(async (req, res) => {
+  const userId = parseInt(req.params.userId, 10);
+  if (isNaN(userId)) {
+    return res.status(400).json({ error: "Invalid User ID" });
+  }
+
+  const hidden = await hiddenUserIds(req.userId);
+  const user = hidden.includes(userId)
+    ? null
+    : await prisma.user.findUnique({ where: { id: userId }, select: { id: true, name: true } });
+  if (!user) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const achievements = (await getUserAchievements(userId)).filter((a) => a.earned);
+  res.json({ user, achievements });
+});
@@ -0,0 +1,22 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import { getStreakSummary, getActivityHistory } from "../services/activity.service.js";
+
+// --- Streak & Today's Goals ---
+export const getStreak = asyncHandler(async (req, res) => {
+  const summary = await getStreakSummary(req.userId);
+  res.json(summary);
+});
+
+// --- Daily Activity History ---
+// GET /activity/history?days=30 (1-365), oldest day first
+export const getHistory = asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+  const history = await getActivityHistory(req.userId, days);
+
+  res.json({
+    days,
+    activeDays: history.filter((d) => d.quizzesTaken > 0 || d.cardsReviewed > 0).length,
+    goalDays: history.filter((d) => d.goalMet).length,
+    history,
+  });
+});
@@ -0,0 +1,229 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import prisma from "../config/prisma.js";
+import {
+  ROLES,
+  REPORT_STATUSES,
+  outranks,
+  findContent,
+  suspendUser,
+  unsuspendUser,
+  removeReportedContent,
+  dismissOpenReport,
+  getAiUsage,
+} from "../services/moderation.service.js";
+
+const adminUserSelect = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  isBot: true,
+  emailVerifiedAt: true,
+  suspendedAt: true,
+  suspendedReason: true,
+  createdAt: true,
+};
+
+const pageLimit = (value) => Math.min(Math.max(parseInt(value, 10) || 20, 1), 100);
+
+// The user an action targets, if the acting staff member may act on them.
+// Responds and returns null otherwise.
+async function findTargetUser(req, res) {
+  const userId = parseInt(req.params.userId, 10);
+  if (isNaN(userId)) {
+    res.status(400).json({ error: "Invalid User ID" });
+    return null;
+  }
+  if (userId === req.userId) {
+    res.status(400).json({ error: "You can't do this to your own account" });
+    return null;
+  }
+
+  const user = await prisma.user.findUnique({ where: { id: userId }, select: adminUserSelect });
+  if (!user) {
+    res.status(404).json({ error: "User not found" });
+    return null;
+  }
+  if (!outranks(req.user.role, user.role)) {
+    console.log(`❌ ${req.user.role} ${req.userId} can't act on ${user.role} ${userId}`);
+    res.status(403).json({ error: "You can only manage users ranked below you" });
+    return null;
+  }
+  return user;
+}
+
+// --- List Users ---
+// GET /admin/users?q=&role=&suspended=true&limit=20&before=<id>
+export const listUsers = asyncHandler(async (req, res) => {
+  const { q, role } = req.query;
+  const limit = pageLimit(req.query.limit);
+  const before = parseInt(req.query.before, 10) || undefined;
+
+  if (role && !ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+  }
+
+  const users = await prisma.user.findMany({
+    where: {
+      ...(q?.trim() && {
+        OR: [
+          { name: { contains: q.trim(), mode: "insensitive" } },
+          { email: { contains: q.trim(), mode: "insensitive" } },
+        ],
+      }),
+      ...(role && { role }),
+      ...(req.query.suspended === "true" && { suspendedAt: { not: null } }),
+      ...(before && { id: { lt: before } }),
+    },
+    select: { ...adminUserSelect, _count: { select: { quizzes: true, aiGenerations: true } } },
+    orderBy: { id: "desc" },
+    take: limit + 1,
+  });
+
+  const page = users.slice(0, limit);
+  res.json({
+    users: page,
+    nextCursor: users.length > limit ? page[page.length - 1].id : null,
+  });
+});
+
+// --- Suspend User ---
+export const suspendUserAccount = asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+  if (typeof reason !== "string" || !reason.trim()) {
+    return res.status(400).json({ error: "A reason is required" });
+  }
+
+  const target = await findTargetUser(req, res);
+  if (!target) return;
+
+  const user = await suspendUser(target.id, reason.trim());
+  res.json({
+    message: "User suspended",
+    user: { id: user.id, suspendedAt: user.suspendedAt, suspendedReason: user.suspendedReason },
+  });
+});
+
+// --- Unsuspend User ---
+export const unsuspendUserAccount = asyncHandler(async (req, res) => {
+  const target = await findTargetUser(req, res);
+  if (!target) return;
+
+  if (!target.suspendedAt) {
+    return res.status(400).json({ error: "User is not suspended" });
+  }
+
+  await unsuspendUser(target.id);
+  res.json({ message: "User unsuspended" });
+});
+
+// --- Change Role ---
+// Takes effect when the user's session next refreshes its access token
+export const setUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${ROLES.join(", ")}` });
+  }
+
+  const target = await findTargetUser(req, res);
+  if (!target) return;
+
+  if (target.isBot) {
+    return res.status(400).json({ error: "Bots can't be given a role" });
+  }
+
+  const user = await prisma.user.update({
+    where: { id: target.id },
+    data: { role },
+    select: adminUserSelect,
+  });
+
+  console.log(`🛡️ User ${user.id} is now ${role} (set by admin ${req.userId})`);
+  res.json({ message: "Role updated", user });
+});
+
+// --- AI Usage ---
+// GET /admin/ai-usage?days=30
+export const getAiUsageStats = asyncHandler(async (req, res) => {
+  const days = parseInt(req.query.days, 10) || 30;
+  if (days < 1 || days > 365) {
+    return res.status(400).json({ error: "days must be between 1 and 365" });
+  }
+
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  res.json({ days, ...(await getAiUsage(since)) });
+});
+
+// --- Reports ---
+// GET /admin/reports?status=open&limit=20&before=<id>
+export const listReports = asyncHandler(async (req, res) => {
+  const status = req.query.status || "open";
+  const limit = pageLimit(req.query.limit);
+  const before = parseInt(req.query.before, 10) || undefined;
+
+  if (!REPORT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${REPORT_STATUSES.join(", ")}` });
+  }
+
+  const reports = await prisma.report.findMany({
+    where: { status, ...(before && { id: { lt: before } }) },
+    include: {
+      reporter: { select: { id: true, name: true } },
+      resolvedBy: { select: { id: true, name: true } },
+    },
+    orderBy: { id: "desc" },
+    take: limit + 1,
+  });
+
+  const page = reports.slice(0, limit);
+  const withContent = await Promise.all(
+    page.map(async (report) => ({
+      ...report,
+      content: await findContent(report.contentType, report.contentId),
+    }))
+  );
+
+  res.json({
+    reports: withContent,
+    nextCursor: reports.length > limit ? page[page.length - 1].id : null,
+  });
+});
+
+async function findOpenReport(req, res) {
+  const reportId = parseInt(req.params.reportId, 10);
+  if (isNaN(reportId)) {
+    res.status(400).json({ error: "Invalid Report ID" });
+    return null;
+  }
+
+  const report = await prisma.report.findUnique({ where: { id: reportId } });
+  if (!report) {
+    res.status(404).json({ error: "Report not found" });
+    return null;
+  }
+  if (report.status !== "open") {
+    res.status(400).json({ error: `Report is already ${report.status}` });
+    return null;
+  }
+  return report;
+}
+
+// --- Remove Reported Content ---
+export const removeReport = asyncHandler(async (req, res) => {
+  const report = await findOpenReport(req, res);
+  if (!report) return;
+
+  const closed = await removeReportedContent(report, req.userId);
+  res.json({ message: "Content removed", reportsClosed: closed });
+});
+
+// --- Dismiss Report ---
+export const dismissReport = asyncHandler(async (req, res) => {
+  const report = await findOpenReport(req, res);
+  if (!report) return;
+
+  if (!(await dismissOpenReport(report.id, req.userId))) {
+    return res.status(400).json({ error: "Report is already closed" });
+  }
+  res.json({ message: "Report dismissed" });
+});
@@ -1,8 +1,44 @@
 import prisma from "../config/prisma.js";
-import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
 import googleClient from "../config/google.js";
 import asyncHandler from "../middleware/asyncHandler.js";
+import {
+  getPasswordPolicy,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  unusablePasswordHash,
+  createPasswordResetCode,
+  resetPasswordWithCode,
+  resetCodeTtlMinutes,
+} from "../services/credential.service.js";
+import {
+  startSession,
+  refreshSession,
+  revokeSessions,
+  listSessions,
+  setSessionFcmToken,
+} from "../services/session.service.js";
+import {
+  isEmailVerified,
+  sendVerificationEmail,
+  verifyEmailWithCode,
+} from "../services/verification.service.js";
+import { sendMail } from "../services/mail.service.js";
+
+// What the sessions list shows about the signed-in device
+const deviceInfo = (req) => ({
+  deviceName: req.body?.deviceName,
+  userAgent: req.headers["user-agent"],
+  ipAddress: req.ip,
+});
+
+const publicUser = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  emailVerified: isEmailVerified(user),
+  role: user.role,
+});
 
 // ==================== SIGNUP ====================
 export const signup = asyncHandler(async (req, res) => {
@@ -14,6 +50,12 @@ export const signup = asyncHandler(async (req, res) => {
     return res.status(400).json({ error: "All fields are required" });
   }
 
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    console.log(`❌ Weak password: ${passwordError}`);
+    return res.status(400).json({ error: passwordError });
+  }
+
   const existingUser = await prisma.user.findUnique({ where: { email } });
   if (existingUser) {
     console.log("❌ Email already registered");
@@ -21,18 +63,24 @@ export const signup = asyncHandler(async (req, res) => {
   }
 
   const user = await prisma.user.create({
-    data: { name, email, password},
+    data: { name, email, password: await hashPassword(password) },
   });
 
-  const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+  const { token, refreshToken } = await startSession(user, deviceInfo(req));
+
+  // The account works without it; the user can ask for another code later
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error(`❌ Failed to send verification email to user ${user.id}:`, error.message);
+  }
 
   console.log(`✅ User created: ${user.name} (ID: ${user.id})`);
   res.status(201).json({
     message: "Signup successful",
     token,
-    user: { id: user.id, name: user.name, email: user.email },
+    refreshToken,
+    user: publicUser(user),
   });
 });
 
@@ -47,20 +95,34 @@ export const signin = asyncHandler(async (req, res) => {
   }
 
   const user = await prisma.user.findUnique({ where: { email } });
-  if (!user || user.password !== password) {
+  const { valid, needsRehash } = await verifyPassword(user, password);
+  if (!valid) {
     console.log("❌ Invalid credentials");
     return res.status(401).json({ error: "Invalid email or password" });
   }
 
-  const token = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+  if (user.suspendedAt) {
+    console.log(`❌ User ${user.id} is suspended`);
+    return res.status(403).json({ error: "Account suspended", reason: user.suspendedReason });
+  }
+
+  // Legacy plaintext (or outdated) password: store a fresh hash now that we know it
+  if (needsRehash) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { password: await hashPassword(password) },
+    });
+    console.log(`🔒 Password rehashed for user ${user.id}`);
+  }
+
+  const { token, refreshToken } = await startSession(user, deviceInfo(req));
 
   console.log(`✅ User signed in: ${user.name} (ID: ${user.id})`);
   res.json({
     message: "Signin successful",
     token,
-    user: { id: user.id, name: user.name, email: user.email },
+    refreshToken,
+    user: publicUser(user),
   });
 });
 
@@ -85,32 +147,66 @@ export const googleAuth = asyncHandler(async (req, res) => {
     return res.status(401).json({ error: "Invalid Google token" });
   }
 
-  const { email, name } = payload;
+  const { email, name, email_verified: emailVerified } = payload;
   if (!email || !name) {
     console.log("❌ Invalid token payload");
     return res.status(400).json({ error: "Invalid Google token payload" });
   }
 
+  // Only an address Google vouches for may take over an existing account
+  if (!emailVerified) {
+    const existing = await prisma.user.findUnique({ where: { email }, select: { id: true } });
+    if (existing) {
+      console.log(`❌ Unverified Google email matches existing user ${existing.id}`);
+      return res.status(403).json({ error: "Google hasn't verified this email, so it can't be linked to an existing account" });
+    }
+  }
+
   console.log(`✅ Google user verified: ${name} (${email})`);
-  const user = await prisma.user.upsert({
+  let user = await prisma.user.upsert({
     where: { email },
     update: { name },
     create: {
       email,
       name,
-      password: await bcrypt.hash(`google-user-${Date.now()}`, 10),
+      password: await unusablePasswordHash(),
+      emailVerifiedAt: emailVerified ? new Date() : null,
     },
   });
 
-  const appToken = jwt.sign({ userId: user.id }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
+  if (user.suspendedAt) {
+    console.log(`❌ User ${user.id} is suspended`);
+    return res.status(403).json({ error: "Account suspended", reason: user.suspendedReason });
+  }
+
+  // Google has confirmed the address, which settles a pending verification.
+  // Whoever registered it never proved they own it, so their password and
+  // sessions stop working: the account now belongs to the Google user.
+  if (emailVerified && !isEmailVerified(user)) {
+    user = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        emailVerifiedAt: new Date(),
+        emailVerificationCode: null,
+        emailVerificationExpires: null,
+        password: await unusablePasswordHash(),
+        passwordResetCode: null,
+        passwordResetExpires: null,
+        sessionVersion: { increment: 1 },
+      },
+    });
+    await revokeSessions({ userId: user.id }, "email_claimed");
+    console.log(`🔐 Unverified account ${user.id} claimed by its Google-verified owner`);
+  }
+
+  const { token: appToken, refreshToken } = await startSession(user, deviceInfo(req));
 
   console.log(`✅ User authenticated: ${user.name} (ID: ${user.id})`);
   res.json({
     message: "Google sign-in successful",
     token: appToken,
-    user: { id: user.id, name: user.name, email: user.email },
+    refreshToken,
+    user: publicUser(user),
   });
 });
 
@@ -127,6 +223,8 @@ export const verifyToken = asyncHandler(async (req, res) => {
       id: true,
       name: true,
       email: true,
+      emailVerifiedAt: true,
+      role: true,
       createdAt: true,
     },
   });
@@ -140,11 +238,7 @@ export const verifyToken = asyncHandler(async (req, res) => {
   
   res.status(200).json({
     valid: true,
-    user: {
-      id: user.id,
-      name: user.name,
-      email: user.email,
-    },
+    user: publicUser(user),
   });
 });
 
@@ -164,6 +258,9 @@ export const saveFcmToken = asyncHandler(async (req, res) => {
     where: { id: userId },
     data: { fcmToken },
   });
+  if (req.user.sid) {
+    await setSessionFcmToken(req.user.sid, fcmToken);
+  }
 
   console.log(`✅ FCM token saved for ${user.name}`);
 
@@ -172,29 +269,204 @@ export const saveFcmToken = asyncHandler(async (req, res) => {
   });
 });
 
+// ==================== VERIFY EMAIL ====================
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { code } = req.body;
+  const userId = req.userId;
+
+  if (!code) {
+    return res.status(400).json({ error: "Verification code is required" });
+  }
+
+  const outcome = await verifyEmailWithCode(userId, code);
+  if (outcome === "expired") {
+    console.log("❌ Verification code expired");
+    return res.status(400).json({ error: "Verification code has expired, request a new one" });
+  }
+  if (outcome === "too_many_attempts") {
+    console.log("❌ Too many verification attempts");
+    return res.status(429).json({ error: "Too many attempts, request a new code" });
+  }
+  if (outcome === "invalid") {
+    console.log("❌ Invalid verification code");
+    return res.status(400).json({ error: "Invalid verification code" });
+  }
+
+  console.log(`✅ Email verified for user ${userId}`);
+  res.json({ message: "Email verified", emailVerified: true });
+});
+
+export const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const user = await prisma.user.findUnique({ where: { id: req.userId } });
+  if (!user) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const result = await sendVerificationEmail(user);
+  if (result.reason === "already_verified") {
+    return res.status(400).json({ error: "Email is already verified" });
+  }
+  if (result.reason === "too_soon") {
+    res.set("Retry-After", String(result.retryAfterSeconds));
+    return res.status(429).json({
+      error: "Please wait before requesting another code",
+      retryAfterSeconds: result.retryAfterSeconds,
+    });
+  }
+
+  res.json({ message: "Verification code sent" });
+});
+
+// ==================== REFRESH TOKEN ====================
+// Trades a refresh token for a new access token and refresh token. The old
+// refresh token stops working.
+export const refreshAccessToken = asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: "Refresh token is required" });
+  }
+
+  const tokens = await refreshSession(refreshToken);
+  if (!tokens) {
+    console.log("❌ Invalid refresh token");
+    return res.status(401).json({ error: "Invalid or expired refresh token" });
+  }
+
+  console.log(`🔄 Tokens refreshed for session ${tokens.sessionId}`);
+  res.json({ token: tokens.token, refreshToken: tokens.refreshToken });
+});
+
+// ==================== LOGOUT ====================
+// Ends the session the request was made with
+export const logout = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const sessionId = req.user.sid;
+
+  if (sessionId) {
+    await revokeSessions({ userId, id: sessionId }, "logout");
+  } else {
+    // A legacy token has no session; it can only be revoked with every other one
+    await prisma.user.update({ where: { id: userId }, data: { sessionVersion: { increment: 1 } } });
+  }
+
+  console.log(`👋 User ${userId} signed out`);
+  res.json({ message: "Signed out" });
+});
+
+// ==================== SESSIONS ====================
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await listSessions(req.userId, req.user.sid);
+  res.json({ sessions });
+});
+
+export const revokeSession = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const sessionId = parseInt(req.params.sessionId, 10);
+
+  if (isNaN(sessionId)) {
+    return res.status(400).json({ error: "Invalid session ID" });
+  }
+
+  const revoked = await revokeSessions({ userId, id: sessionId }, "revoked");
+  if (revoked === 0) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+
+  res.json({ message: "Session revoked" });
+});
+
+// Signs out every device, legacy tokens included; ?keepCurrent=true keeps the
+// one making the request if it signed in with a session
+export const revokeAllSessions = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const keepCurrent = req.query.keepCurrent === "true" && req.user.sid;
+
+  const revoked = await revokeSessions(
+    { userId, ...(keepCurrent && { id: { not: req.user.sid } }) },
+    "revoked"
+  );
+  // Legacy tokens carry no session id
+  await prisma.user.update({ where: { id: userId }, data: { sessionVersion: { increment: 1 } } });
+
+  res.json({ message: "Sessions revoked", revoked });
+});
+
+// ==================== FORGOT PASSWORD ====================
+// Emails a one-time reset code. Answers the same whether or not the email is
+// registered, so it can't be used to find accounts.
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  console.log(`🔑 Password reset requested for: ${email}`);
+
+  if (!email) {
+    return res.status(400).json({ error: "Email is required" });
+  }
+
+  const user = await prisma.user.findUnique({ where: { email } });
+  if (user && !user.isBot) {
+    const reset = await createPasswordResetCode(user);
+    if (!reset) {
+      console.log(`⏳ Reset code for user ${user.id} requested again too soon`);
+    } else {
+      try {
+        await sendMail({
+          to: user.email,
+          subject: "Your Quirzy password reset code",
+          text:
+            `Hi ${user.name},\n\n` +
+            `Your password reset code is ${reset.code}. It expires in ${resetCodeTtlMinutes()} minutes.\n\n` +
+            "If you didn't ask to reset your password, you can ignore this email.",
+        });
+        console.log(`📨 Reset code sent to user ${user.id}`);
+      } catch (error) {
+        console.error(`❌ Failed to send reset code to user ${user.id}:`, error.message);
+      }
+    }
+  }
+
+  res.json({
+    message: "If an account exists for that email, a reset code has been sent",
+    expiresInMinutes: resetCodeTtlMinutes(),
+  });
+});
+
 // ==================== RESET PASSWORD ====================
 export const resetPassword = asyncHandler(async (req, res) => {
-  const { email, newPassword } = req.body;
+  const { email, code, newPassword } = req.body;
   console.log(`🔑 Password reset attempt for: ${email}`);
 
-  if (!email || !newPassword) {
+  if (!email || !code || !newPassword) {
     return res
       .status(400)
-      .json({ error: "Email and new password are required" });
+      .json({ error: "Email, code and new password are required" });
   }
 
-  const user = await prisma.user.findUnique({ where: { email } });
-  if (!user) {
-    console.log("❌ User not found");
-    return res.status(404).json({ error: "User not found" });
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    return res.status(400).json({ error: passwordError });
   }
 
-  const hashedPassword = await bcrypt.hash(newPassword, 10);
-  await prisma.user.update({
-    where: { email },
-    data: { password: hashedPassword },
-  });
+  const outcome = await resetPasswordWithCode(email, code, newPassword);
+  if (outcome === "expired") {
+    console.log("❌ Reset code expired");
+    return res.status(400).json({ error: "Reset code has expired, request a new one" });
+  }
+  if (outcome === "too_many_attempts") {
+    console.log("❌ Too many reset code attempts");
+    return res.status(429).json({ error: "Too many attempts, request a new code" });
+  }
+  if (outcome !== "reset") {
+    console.log("❌ Invalid reset code");
+    return res.status(400).json({ error: "Invalid or expired reset code" });
+  }
 
   console.log(`✅ Password reset for user: ${email}`);
-  res.json({ message: "Password reset successful" });
+  res.json({ message: "Password reset successful. Please sign in again." });
+});
+
+// ==================== PASSWORD POLICY ====================
+// Lets the app show the rules before the user picks a password
+export const passwordPolicy = asyncHandler(async (req, res) => {
+  res.json(getPasswordPolicy());
 });
@@ -1,10 +1,52 @@
 import prisma from "../config/prisma.js";
-import firebaseAdmin from "../config/firebase.js";
 import asyncHandler from "../middleware/asyncHandler.js";
+import { GenerationError } from "../services/generation.service.js";
+import { canChallenge } from "../services/friend.service.js";
+import { toRatingChange } from "../services/rating.service.js";
+import {
+  QUIZ_DIFFICULTIES,
+  clampQuestionCount,
+  generateQuizForUser,
+  findPlayableQuiz,
+  scoreAnswers,
+  toResultQuestions,
+  recordQuizResult,
+} from "../services/quiz.service.js";
+import {
+  PLAYABLE_STATUSES,
+  playDeadlineFrom,
+  saveChallengeResult,
+  completeChallenge,
+  finalizeIfOverdue,
+} from "../services/challenge.service.js";
+import { BOT_LEVELS, getBotUser, ensureBotResult } from "../services/bot.service.js";
+import { evaluateAchievements } from "../services/achievement.service.js";
+import { notifyUser } from "../services/notification.service.js";
+
+// Expire/finish the challenge if its deadline passed, updating it in place.
+// The scheduler does the same in the background (src/jobs/challenge.jobs.js).
+async function settleIfOverdue(challenge) {
+  if (challenge.status === "pending" && challenge.expiresAt <= new Date()) {
+    await prisma.challenge.updateMany({
+      where: { id: challenge.id, status: "pending" },
+      data: { status: "expired" },
+    });
+    challenge.status = "expired";
+    return;
+  }
+
+  const finished = await finalizeIfOverdue(challenge);
+  if (finished) {
+    const { status, completedAt, winnerId } = finished;
+    Object.assign(challenge, { status, completedAt, winnerId });
+  }
+}
 
 // --- Send Challenge ---
+// Either pass an existing quizId, or a topic (plus optional difficulty and
+// questionCount) to generate a fresh quiz both players will share.
 export const sendChallenge = asyncHandler(async (req, res) => {
-  const { opponentId, quizId } = req.body;
+  const { opponentId, quizId, topic, difficulty = "medium", questionCount = 10 } = req.body;
   const challengerId = req.userId;
 
   console.log(`⚔️ Challenge request from user ${challengerId} to ${opponentId}`);
@@ -14,9 +56,18 @@ export const sendChallenge = asyncHandler(async (req, res) => {
     return res.status(400).json({ error: "Opponent ID is required" });
   }
 
+  if (!quizId && !topic?.trim()) {
+    console.log("❌ No quiz or topic provided");
+    return res.status(400).json({ error: "Either quizId or topic is required" });
+  }
+
+  if (!quizId && !QUIZ_DIFFICULTIES.includes(difficulty)) {
+    return res.status(400).json({ error: `difficulty must be one of: ${QUIZ_DIFFICULTIES.join(", ")}` });
+  }
+
   const opponent = await prisma.user.findUnique({
     where: { id: parseInt(opponentId) },
-    select: { id: true, name: true, fcmToken: true },
+    select: { id: true, name: true, isBot: true },
   });
 
   if (!opponent) {
@@ -24,21 +75,51 @@ export const sendChallenge = asyncHandler(async (req, res) => {
     return res.status(404).json({ error: "Opponent not found" });
   }
 
+  if (opponent.isBot) {
+    return res.status(400).json({ error: "Use /challenges/bot to play against a bot" });
+  }
+
+  const { allowed, reason } = await canChallenge(challengerId, opponent.id);
+  if (!allowed) {
+    console.log(`❌ Challenge not allowed: ${reason}`);
+    return res.status(403).json({ error: reason });
+  }
+
   const challenger = await prisma.user.findUnique({
     where: { id: challengerId },
     select: { id: true, name: true },
   });
 
+  // A quiz the challenger may play themselves; anyone else's stays private
   if (quizId) {
-    const quiz = await prisma.quiz.findUnique({
-      where: { id: parseInt(quizId) },
-    });
+    const quiz = await findPlayableQuiz(challengerId, parseInt(quizId));
     if (!quiz) {
       console.log("❌ Quiz not found");
       return res.status(404).json({ error: "Quiz not found" });
     }
   }
 
+  // No quiz given: generate one so both players get identical questions
+  let challengeQuizId = quizId ? parseInt(quizId) : null;
+  if (!challengeQuizId) {
+    try {
+      const { quiz } = await generateQuizForUser({
+        userId: challengerId,
+        topic: topic.trim(),
+        questionCount: clampQuestionCount(questionCount, 10),
+        difficulty,
+        owned: false,
+      });
+      challengeQuizId = quiz.id;
+    } catch (error) {
+      console.error("❌ Challenge quiz generation failed:", error);
+      return res.status(500).json({
+        error: "Failed to generate the challenge quiz. Please try again.",
+        generationId: error instanceof GenerationError ? error.generationId : undefined,
+      });
+    }
+  }
+
   const expiresAt = new Date();
   expiresAt.setHours(expiresAt.getHours() + 24);
 
@@ -46,48 +127,112 @@ export const sendChallenge = asyncHandler(async (req, res) => {
     data: {
       challengerId,
       opponentId: parseInt(opponentId),
-      quizId: quizId ? parseInt(quizId) : null,
+      quizId: challengeQuizId,
       expiresAt,
     },
   });
 
   console.log(`✅ Challenge created: ID ${challenge.id}`);
 
-  // Send FCM notification
-  if (opponent.fcmToken && firebaseAdmin.apps.length > 0) {
-    try {
-      const message = {
-        data: {
-          type: "challenge_invite",
-          challengeId: challenge.id.toString(),
-          challengerName: challenger.name,
-          challengerId: challengerId.toString(),
-        },
-        notification: {
-          title: "🎯 New Challenge!",
-          body: `${challenger.name} has challenged you to a quiz battle!`,
-        },
-        token: opponent.fcmToken,
-      };
-      await firebaseAdmin.messaging().send(message);
-      console.log(`✅ Notification sent to ${opponent.name}`);
-    } catch (error) {
-      console.error("❌ Failed to send FCM notification:", error.message);
-    }
-  } else {
-    console.log("⚠️ No FCM token or Firebase not initialized");
-  }
+  await notifyUser(opponent.id, {
+    type: "challenge_invite",
+    title: "🎯 New Challenge!",
+    body: `${challenger.name} has challenged you to a quiz battle!`,
+    data: {
+      challengeId: challenge.id,
+      challengerName: challenger.name,
+      challengerId,
+    },
+  });
 
   res.json({
     message: "Challenge sent successfully",
     challenge: {
       id: challenge.id,
       opponentName: opponent.name,
+      quizId: challenge.quizId,
       expiresAt: challenge.expiresAt,
     },
   });
 });
 
+// --- Challenge a Bot (solo practice) ---
+// Creates an accepted challenge against the bot of the given level. The bot
+// plays when the user does: live over the WebSocket, or when the user submits
+// their result.
+export const challengeBot = asyncHandler(async (req, res) => {
+  const { botLevel = "medium", quizId, topic, difficulty = "medium", questionCount = 10 } = req.body;
+  const userId = req.userId;
+
+  console.log(`🤖 Bot challenge request from user ${userId} (${botLevel})`);
+
+  if (!BOT_LEVELS.includes(botLevel)) {
+    return res.status(400).json({ error: `botLevel must be one of: ${BOT_LEVELS.join(", ")}` });
+  }
+
+  if (!quizId && !topic?.trim()) {
+    console.log("❌ No quiz or topic provided");
+    return res.status(400).json({ error: "Either quizId or topic is required" });
+  }
+
+  if (!quizId && !QUIZ_DIFFICULTIES.includes(difficulty)) {
+    return res.status(400).json({ error: `difficulty must be one of: ${QUIZ_DIFFICULTIES.join(", ")}` });
+  }
+
+  let challengeQuizId = quizId ? parseInt(quizId) : null;
+  if (challengeQuizId) {
+    const quiz = await findPlayableQuiz(userId, challengeQuizId);
+    if (!quiz) {
+      console.log("❌ Quiz not found");
+      return res.status(404).json({ error: "Quiz not found" });
+    }
+  } else {
+    try {
+      const { quiz } = await generateQuizForUser({
+        userId,
+        topic: topic.trim(),
+        questionCount: clampQuestionCount(questionCount, 10),
+        difficulty,
+        owned: false,
+      });
+      challengeQuizId = quiz.id;
+    } catch (error) {
+      console.error("❌ Bot challenge quiz generation failed:", error);
+      return res.status(500).json({
+        error: "Failed to generate the challenge quiz. Please try again.",
+        generationId: error instanceof GenerationError ? error.generationId : undefined,
+      });
+    }
+  }
+
+  const bot = await getBotUser(botLevel);
+  const acceptedAt = new Date();
+  const challenge = await prisma.challenge.create({
+    data: {
+      challengerId: userId,
+      opponentId: bot.id,
+      quizId: challengeQuizId,
+      status: "accepted",
+      expiresAt: acceptedAt,
+      acceptedAt,
+      playDeadline: playDeadlineFrom(acceptedAt),
+    },
+  });
+
+  console.log(`✅ Bot challenge created: ID ${challenge.id} vs ${bot.name}`);
+
+  res.status(201).json({
+    message: "Bot challenge created",
+    challenge: {
+      id: challenge.id,
+      status: challenge.status,
+      quizId: challenge.quizId,
+      playDeadline: challenge.playDeadline,
+    },
+    bot: { id: bot.id, name: bot.name, level: bot.botLevel },
+  });
+});
+
 // --- Get Challenge Status ---
 export const getChallengeStatus = asyncHandler(async (req, res) => {
   const { challengeId } = req.params;
@@ -103,6 +248,9 @@ export const getChallengeStatus = asyncHandler(async (req, res) => {
     include: {
       challenger: { select: { id: true, name: true, email: true } },
       opponent: { select: { id: true, name: true, email: true } },
+      results: {
+        select: { userId: true, score: true, totalQuestions: true, timeTaken: true, createdAt: true },
+      },
     },
   });
 
@@ -111,6 +259,8 @@ export const getChallengeStatus = asyncHandler(async (req, res) => {
     return res.status(404).json({ error: "Challenge not found" });
   }
 
+  await settleIfOverdue(challenge);
+
   console.log(`✅ Challenge found: ${challenge.status}`);
   res.json({ challenge });
 });
@@ -128,9 +278,6 @@ export const acceptChallenge = asyncHandler(async (req, res) => {
       opponentId: userId,
       status: "pending",
     },
-    include: {
-      challenger: { select: { name: true, fcmToken: true } },
-    },
   });
 
   if (!challenge) {
@@ -149,38 +296,28 @@ export const acceptChallenge = asyncHandler(async (req, res) => {
     return res.status(400).json({ error: "Challenge has expired" });
   }
 
+  const acceptedAt = new Date();
   const updatedChallenge = await prisma.challenge.update({
     where: { id: parseInt(challengeId) },
-    data: { status: "accepted", acceptedAt: new Date() },
+    data: { status: "accepted", acceptedAt, playDeadline: playDeadlineFrom(acceptedAt) },
   });
 
   console.log(`✅ Challenge ${challengeId} accepted`);
 
   // Notify challenger
-  if (challenge.challenger.fcmToken && firebaseAdmin.apps.length > 0) {
-    try {
-      const opponent = await prisma.user.findUnique({
-        where: { id: userId },
-        select: { name: true },
-      });
-      const message = {
-        data: {
-          type: "challenge_accepted",
-          challengeId: challenge.id.toString(),
-          opponentName: opponent.name,
-        },
-        notification: {
-          title: "✅ Challenge Accepted!",
-          body: `${opponent.name} accepted your challenge. Game on!`,
-        },
-        token: challenge.challenger.fcmToken,
-      };
-      await firebaseAdmin.messaging().send(message);
-      console.log(`✅ Acceptance notification sent`);
-    } catch (error) {
-      console.error("❌ Failed to send notification:", error.message);
-    }
-  }
+  const opponent = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { name: true },
+  });
+  await notifyUser(challenge.challengerId, {
+    type: "challenge_accepted",
+    title: "✅ Challenge Accepted!",
+    body: `${opponent.name} accepted your challenge. Game on!`,
+    data: {
+      challengeId: challenge.id,
+      opponentName: opponent.name,
+    },
+  });
 
   res.json({
     message: "Challenge accepted successfully",
@@ -201,9 +338,6 @@ export const rejectChallenge = asyncHandler(async (req, res) => {
       opponentId: userId,
       status: "pending",
     },
-    include: {
-      challenger: { select: { name: true, fcmToken: true } },
-    },
   });
 
   if (!challenge) {
@@ -219,31 +353,141 @@ export const rejectChallenge = asyncHandler(async (req, res) => {
   console.log(`✅ Challenge ${challengeId} rejected`);
 
   // Notify challenger
-  if (challenge.challenger.fcmToken && firebaseAdmin.apps.length > 0) {
-    try {
-      const opponent = await prisma.user.findUnique({
-        where: { id: userId },
-        select: { name: true },
+  const opponent = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { name: true },
+  });
+  await notifyUser(challenge.challengerId, {
+    type: "challenge_rejected",
+    title: "❌ Challenge Declined",
+    body: `${opponent.name} declined your challenge.`,
+    data: { challengeId: challenge.id },
+  });
+
+  res.json({ message: "Challenge rejected" });
+});
+
+// --- Submit Challenge Result (async play) ---
+// Each player plays the challenge quiz on their own and submits their
+// answers here; the server scores them. Once both have played, the winner
+// is decided and both players are notified.
+export const submitChallengeResult = asyncHandler(async (req, res) => {
+  const { challengeId } = req.params;
+  const { timeTaken, userSelectedAnswers } = req.body;
+  const userId = req.userId;
+
+  console.log(`🎯 Challenge ${challengeId} result from user ${userId}`);
+
+  if (!Array.isArray(userSelectedAnswers)) {
+    return res.status(400).json({ error: "userSelectedAnswers must be an array" });
+  }
+
+  const challenge = await prisma.challenge.findFirst({
+    where: {
+      id: parseInt(challengeId),
+      OR: [{ challengerId: userId }, { opponentId: userId }],
+    },
+    include: { results: { select: { userId: true } } },
+  });
+
+  if (!challenge) {
+    console.log("❌ Challenge not found");
+    return res.status(404).json({ error: "Challenge not found" });
+  }
+
+  if (await finalizeIfOverdue(challenge)) {
+    console.log("❌ Challenge deadline has passed");
+    return res.status(400).json({ error: "Challenge deadline has passed" });
+  }
+
+  if (!PLAYABLE_STATUSES.includes(challenge.status)) {
+    console.log(`❌ Challenge is ${challenge.status}`);
+    return res.status(400).json({ error: `Challenge is ${challenge.status}` });
+  }
+
+  if (!challenge.quizId) {
+    console.log("❌ Challenge has no quiz");
+    return res.status(400).json({ error: "Challenge has no quiz to play" });
+  }
+
+  if (challenge.results.some((r) => r.userId === userId)) {
+    console.log("❌ Result already submitted");
+    return res.status(409).json({ error: "You have already played this challenge" });
+  }
+
+  const quiz = await findPlayableQuiz(userId, challenge.quizId);
+  if (!quiz) {
+    console.log("❌ Quiz not found");
+    return res.status(404).json({ error: "Quiz not found" });
+  }
+
+  // Answers are positional, in questionNumber order
+  const answers = {};
+  quiz.questions.forEach((q, index) => {
+    const selected = userSelectedAnswers[index];
+    if (Number.isInteger(selected) && selected >= 0) answers[q.id] = selected;
+  });
+
+  const { score, totalQuestions, percentage, userAnswers } = scoreAnswers(quiz.questions, answers);
+  const seconds = parseInt(timeTaken, 10);
+
+  const result = await prisma.$transaction(async (tx) => {
+    const quizResult = await recordQuizResult({
+      userId,
+      quizId: quiz.id,
+      quizTitle: quiz.title,
+      topic: quiz.topic,
+      score,
+      totalQuestions,
+      percentage,
+      timeTaken: isNaN(seconds) || seconds < 0 ? null : seconds,
+      questionsJson: toResultQuestions(quiz.questions),
+      userAnswersJson: userAnswers,
+    }, tx);
+
+    const challengeResult = await saveChallengeResult({
+      challengeId: challenge.id,
+      userId,
+      score,
+      totalQuestions,
+      timeTaken: quizResult.timeTaken,
+      quizResultId: quizResult.id,
+    }, tx);
+
+    if (challenge.status === "accepted") {
+      await tx.challenge.update({
+        where: { id: challenge.id },
+        data: { status: "in_progress" },
       });
-      const message = {
-        data: {
-          type: "challenge_rejected",
-          challengeId: challenge.id.toString(),
-        },
-        notification: {
-          title: "❌ Challenge Declined",
-          body: `${opponent.name} declined your challenge.`,
-        },
-        token: challenge.challenger.fcmToken,
-      };
-      await firebaseAdmin.messaging().send(message);
-      console.log(`✅ Rejection notification sent`);
-    } catch (error) {
-      console.error("❌ Failed to send notification:", error.message);
     }
-  }
+    return challengeResult;
+  });
 
-  res.json({ message: "Challenge rejected" });
+  console.log(`✅ Challenge ${challengeId} result saved: ${score}/${totalQuestions}`);
+  const newAchievements = await evaluateAchievements(userId, "quiz");
+
+  // Against a bot, the bot plays its turn now
+  await ensureBotResult(challenge);
+
+  // Both players have played: decide the winner
+  const played = await prisma.challengeResult.count({ where: { challengeId: challenge.id } });
+  const outcome = played >= 2 ? await completeChallenge(challenge.id) : null;
+
+  res.status(201).json({
+    message: outcome ? "Challenge completed" : "Result saved, waiting for opponent",
+    result: {
+      challengeId: challenge.id,
+      score: result.score,
+      totalQuestions: result.totalQuestions,
+      percentage,
+      timeTaken: result.timeTaken,
+    },
+    status: outcome ? outcome.status : "in_progress",
+    winnerId: outcome ? outcome.winnerId : null,
+    isTie: outcome ? outcome.isTie : false,
+    ratingChanges: outcome ? outcome.ratingChanges.map(toRatingChange) : [],
+    newAchievements,
+  });
 });
 
 // --- Cancel Challenge ---
@@ -295,6 +539,11 @@ export const getMyChallenges = asyncHandler(async (req, res) => {
     },
   });
 
+  // Finish any challenge whose play deadline has passed
+  for (const challenge of challenges) {
+    await settleIfOverdue(challenge);
+  }
+
   console.log(`✅ Found ${challenges.length} challenges`);
   res.json({ challenges });
 });
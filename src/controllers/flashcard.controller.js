@@ -1,48 +1,10 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import prisma from "../config/prisma.js";
-// Note: GoogleGenerativeAI is loaded lazily in getGeminiModel()
-import { Groq } from "groq-sdk";
-
-// Initialize Gemini (Lazy Load to avoid crash before env loads)
-let geminiModel;
-function getGeminiModel() {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY is missing");
-  }
-  if (!geminiModel) {
-    const { GoogleGenerativeAI } = require("@google/generative-ai");
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    geminiModel = genAI.getGenerativeModel({
-      model: "gemini-2.5-flash",
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
-        responseMimeType: "application/json",
-      },
-    });
-  }
-  return geminiModel;
-}
-
-// Initialize Groq
-// Initialize Groq (Lazy)
-let groqClient;
-function getGroqClient() {
-  if (!process.env.GROQ_API_KEY) {
-    throw new Error("GROQ_API_KEY is missing");
-  }
-  if (!groqClient) {
-    groqClient = new Groq({
-      apiKey: process.env.GROQ_API_KEY,
-    });
-  }
-  return groqClient;
-}
-
-// Global counter for load balancing
-let requestCounter = 0;
+import { generateJSON, GenerationError } from "../services/generation.service.js";
+import { flashcardSchema, validateItems, summarizeValidation } from "../schemas/aiOutput.schema.js";
+import { GRADES, scheduleReview, endOfLocalDay } from "../services/srs.service.js";
+import { evaluateAchievements } from "../services/achievement.service.js";
+import { recordActivity } from "../services/activity.service.js";
 
 // ==================== PROMPT GENERATION ====================
 function generateFlashcardPrompt(topic, cardCount = 10) {
@@ -76,40 +38,6 @@ Generate ${cardCount} flashcards now.
 `;
 }
 
-// ==================== HELPER FUNCTIONS ====================
-async function extractTextFromResult(result, provider) {
-  try {
-    if (provider === "GEMINI") {
-      const response = result?.response;
-      if (typeof response?.text === "function") return await response.text();
-      return JSON.stringify(result);
-    }
-    if (provider === "GROQ") {
-      return result.choices?.[0]?.message?.content || "";
-    }
-    return "";
-  } catch (err) {
-    console.warn(`Failed to extract text from ${provider} result`, err);
-    return "";
-  }
-}
-
-function parseFlashcardJSON(text) {
-  let cleanedText = (text || "").trim();
-  cleanedText = cleanedText.replace(/^```json\n?/g, "").replace(/^```\n?/g, "").replace(/\n?```$/g, "").trim();
-
-  try {
-    return JSON.parse(cleanedText);
-  } catch (e) {
-    const firstBrace = cleanedText.indexOf("{");
-    const lastBrace = cleanedText.lastIndexOf("}");
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      return JSON.parse(cleanedText.substring(firstBrace, lastBrace + 1));
-    }
-    throw e;
-  }
-}
-
 // ==================== CONTROLLERS ====================
 
 // Generate Flashcards
@@ -117,67 +45,31 @@ export const generateFlashcards = asyncHandler(async (req, res) => {
   const { topic, cardCount = 10 } = req.body;
   const userId = req.userId;
 
-  requestCounter++;
-  const useGroq = requestCounter % 2 === 0;
-  const currentProvider = useGroq ? "GROQ (Llama)" : "GEMINI";
-
   if (!topic || topic.trim().length === 0) {
     return res.status(400).json({ error: "Topic is required" });
   }
 
   const validCardCount = Math.min(Math.max(parseInt(cardCount, 10) || 10, 5), 30);
 
-  console.log(`\n🎴 Flashcard Request #${requestCounter} | Provider: ${currentProvider}`);
-  console.log(`📝 Generating ${validCardCount} flashcards on: "${topic}"`);
-
-  let rawText = "";
+  console.log(`🎴 Generating ${validCardCount} flashcards on: "${topic}"`);
 
   try {
     const prompt = generateFlashcardPrompt(topic, validCardCount);
 
-    if (useGroq) {
-      const completion = await getGroqClient().chat.completions.create({
-        model: process.env.LLAMA_MODEL_NAME || "llama-3.1-8b-instant",
-        messages: [
-          { role: "system", content: "You are a high-quality JSON-only flashcard generator. Return only valid JSON." },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.7,
-        max_completion_tokens: 8192,
-      });
-      rawText = await extractTextFromResult(completion, "GROQ");
-    } else {
-      const result = await getGeminiModel().generateContent(prompt);
-      rawText = await extractTextFromResult(result, "GEMINI");
-    }
-
-    console.log(`✅ ${currentProvider} response received. Length: ${rawText.length}`);
-
-    // Parse the response
-    let flashcardData;
-    try {
-      flashcardData = parseFlashcardJSON(rawText);
-      
-      if (!flashcardData.cards || !Array.isArray(flashcardData.cards)) {
-        throw new Error("Missing 'cards' array in response");
-      }
-    } catch (parseError) {
-      console.error(`❌ Failed to parse JSON from ${currentProvider}`);
-      return res.status(500).json({ error: "AI generation failed (Parsing Error). Please try again." });
-    }
-
-    // Validate cards
-    const validatedCards = flashcardData.cards
-      .filter(card => card.front && card.back)
-      .map((card, index) => ({
-        front: String(card.front).trim(),
-        back: String(card.back).trim(),
-        cardNumber: index + 1
-      }));
-
-    if (validatedCards.length === 0) {
-      throw new Error("No valid flashcards parsed from AI response");
-    }
+    const { data: { cards: validatedCards, issues }, provider, generationId } = await generateJSON({
+      kind: "flashcards",
+      prompt,
+      system: "You are a high-quality JSON-only flashcard generator. Return only valid JSON.",
+      params: { topic, cardCount: validCardCount },
+      userId,
+      validate: (data) => {
+        const { items, issues } = validateItems(flashcardSchema, data?.cards, "cards");
+        if (items.length === 0) {
+          throw new Error("No valid flashcards in response");
+        }
+        return { cards: items, issues };
+      },
+    });
 
     // Save to database
     const flashcardSet = await prisma.flashcardSet.create({
@@ -185,11 +77,12 @@ export const generateFlashcards = asyncHandler(async (req, res) => {
         title: `${topic} Flashcards`,
         topic: topic,
         userId,
+        generationId,
         cards: {
-          create: validatedCards.map(card => ({
+          create: validatedCards.map((card, index) => ({
             front: card.front,
             back: card.back,
-            cardNumber: card.cardNumber
+            cardNumber: index + 1
           }))
         }
       },
@@ -198,18 +91,27 @@ export const generateFlashcards = asyncHandler(async (req, res) => {
       }
     });
 
-    console.log(`💾 Flashcard set saved! ID: ${flashcardSet.id}`);
+    console.log(`💾 Flashcard set saved! ID: ${flashcardSet.id} (by ${provider})`);
 
     res.status(201).json({
       id: flashcardSet.id,
       title: flashcardSet.title,
       topic: flashcardSet.topic,
+      provider,
+      generationId,
       cardCount: flashcardSet.cards.length,
-      cards: flashcardSet.cards
+      cards: flashcardSet.cards,
+      validation: summarizeValidation(flashcardSet.cards.length, issues)
     });
 
   } catch (error) {
     console.error("❌ Flashcard Generation Error:", error);
+    if (error instanceof GenerationError && error.reason === "parse") {
+      return res.status(500).json({
+        error: "AI generation failed (Parsing Error). Please try again.",
+        generationId: error.generationId,
+      });
+    }
     const msg = error.message?.toLowerCase() || "";
     if (msg.includes("api key") || msg.includes("unauthorized")) {
       return res.status(500).json({ error: "Server Configuration Error (API Key)." });
@@ -293,27 +195,107 @@ export const deleteFlashcardSet = asyncHandler(async (req, res) => {
 });
 
 // Update study progress for a card
+// Body: { grade: "again" | "hard" | "good" | "easy", timeSpent?: seconds } or legacy { known: boolean }
 export const updateCardProgress = asyncHandler(async (req, res) => {
   const { cardId } = req.params;
-  const { known } = req.body;
+  const { known, timeSpent } = req.body;
+  const userId = req.userId;
 
   const id = parseInt(cardId, 10);
   if (isNaN(id)) {
     return res.status(400).json({ error: "Invalid Card ID" });
   }
 
+  if (req.body.grade === undefined) {
+    if (known === undefined) {
+      return res.status(400).json({ error: "grade is required" });
+    }
+    if (typeof known !== "boolean") {
+      return res.status(400).json({ error: "known must be a boolean" });
+    }
+  }
+
+  const grade = req.body.grade ?? (known ? "good" : "again");
+  if (!GRADES.includes(grade)) {
+    return res.status(400).json({ error: `Grade must be one of: ${GRADES.join(", ")}` });
+  }
+
+  const existing = await prisma.flashcard.findFirst({
+    where: { id, set: { userId } }
+  });
+  if (!existing) {
+    return res.status(404).json({ error: "Flashcard not found" });
+  }
+
+  const now = new Date();
+  const schedule = scheduleReview(existing, grade, now);
+
   const card = await prisma.flashcard.update({
     where: { id },
     data: {
+      ...schedule,
       timesReviewed: { increment: 1 },
-      timesCorrect: known ? { increment: 1 } : undefined,
-      lastReviewed: new Date()
+      timesCorrect: grade !== "again" ? { increment: 1 } : undefined,
+      lastReviewed: now
     }
   });
 
+  // Counts towards the daily goals and streak; one card takes at most a few minutes
+  const seconds = Math.min(Math.max(parseInt(timeSpent, 10) || 0, 0), 300);
+  await recordActivity(userId, { cards: 1, seconds });
+
+  const newAchievements = await evaluateAchievements(userId, "flashcard");
+
   res.json({
     id: card.id,
     timesReviewed: card.timesReviewed,
-    timesCorrect: card.timesCorrect
+    timesCorrect: card.timesCorrect,
+    easeFactor: card.easeFactor,
+    interval: card.interval,
+    repetitions: card.repetitions,
+    dueAt: card.dueAt,
+    newAchievements
+  });
+});
+
+// Get cards due for review today across all of the user's sets
+export const getDueCards = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+  // "Today" is the user's local day
+  const settings = await prisma.userSettings.findUnique({
+    where: { userId },
+    select: { timezone: true },
+  });
+  const endOfToday = endOfLocalDay(settings?.timezone);
+
+  const where = { set: { userId }, dueAt: { lte: endOfToday } };
+
+  const [dueCount, cards] = await Promise.all([
+    prisma.flashcard.count({ where }),
+    prisma.flashcard.findMany({
+      where,
+      include: { set: { select: { id: true, title: true } } },
+      orderBy: { dueAt: "asc" },
+      take: limit
+    })
+  ]);
+
+  console.log(`📅 ${dueCount} cards due for user ${userId}`);
+
+  res.json({
+    dueCount,
+    cards: cards.map(card => ({
+      id: card.id,
+      setId: card.set.id,
+      setTitle: card.set.title,
+      front: card.front,
+      back: card.back,
+      dueAt: card.dueAt,
+      interval: card.interval,
+      easeFactor: card.easeFactor,
+      repetitions: card.repetitions
+    }))
   });
 });
@@ -0,0 +1,261 @@
+import prisma from "../config/prisma.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { findFriendship, isBlockedBetween } from "../services/friend.service.js";
+import { notifyUser } from "../services/notification.service.js";
+
+const userSelect = { select: { id: true, name: true, email: true } };
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) ? null : id;
+}
+
+// --- Get My Friends ---
+export const getFriends = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+
+  const friendships = await prisma.friendship.findMany({
+    where: {
+      status: "accepted",
+      OR: [{ requesterId: userId }, { addresseeId: userId }],
+    },
+    include: { requester: userSelect, addressee: userSelect },
+    orderBy: { respondedAt: "desc" },
+  });
+
+  res.json({
+    friends: friendships.map((f) => ({
+      ...(f.requesterId === userId ? f.addressee : f.requester),
+      friendsSince: f.respondedAt,
+    })),
+  });
+});
+
+// --- Get Pending Requests (incoming and outgoing) ---
+export const getFriendRequests = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+
+  const [incoming, outgoing] = await Promise.all([
+    prisma.friendship.findMany({
+      where: { addresseeId: userId, status: "pending" },
+      include: { requester: userSelect },
+      orderBy: { createdAt: "desc" },
+    }),
+    prisma.friendship.findMany({
+      where: { requesterId: userId, status: "pending" },
+      include: { addressee: userSelect },
+      orderBy: { createdAt: "desc" },
+    }),
+  ]);
+
+  res.json({
+    incoming: incoming.map((f) => ({ requestId: f.id, user: f.requester, createdAt: f.createdAt })),
+    outgoing: outgoing.map((f) => ({ requestId: f.id, user: f.addressee, createdAt: f.createdAt })),
+  });
+});
+
+// --- Send Friend Request ---
+export const sendFriendRequest = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const targetId = parseId(req.body.userId);
+
+  console.log(`🤝 Friend request from user ${userId} to ${req.body.userId}`);
+
+  if (!targetId) {
+    return res.status(400).json({ error: "userId is required" });
+  }
+  if (targetId === userId) {
+    return res.status(400).json({ error: "You can't add yourself as a friend" });
+  }
+
+  const target = await prisma.user.findUnique({
+    where: { id: targetId },
+    select: { id: true, name: true },
+  });
+  if (!target || (await isBlockedBetween(userId, targetId))) {
+    console.log("❌ User not found or blocked");
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const existing = await findFriendship(userId, targetId);
+  if (existing?.status === "accepted") {
+    return res.status(409).json({ error: "You are already friends" });
+  }
+  if (existing && existing.requesterId === userId) {
+    return res.status(409).json({ error: "Friend request already sent" });
+  }
+
+  // They already asked us: sending a request back accepts theirs
+  if (existing) {
+    const friendship = await prisma.friendship.update({
+      where: { id: existing.id },
+      data: { status: "accepted", respondedAt: new Date() },
+    });
+    console.log(`✅ Mutual request, users ${userId} and ${targetId} are now friends`);
+    return res.json({ message: "Friend request accepted", requestId: friendship.id, status: friendship.status });
+  }
+
+  const friendship = await prisma.friendship.create({
+    data: { requesterId: userId, addresseeId: targetId },
+  });
+
+  console.log(`✅ Friend request created: ID ${friendship.id}`);
+
+  const requester = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { name: true },
+  });
+  await notifyUser(target.id, {
+    type: "friend_request",
+    title: "👋 New Friend Request",
+    body: `${requester.name} wants to be your friend!`,
+    data: {
+      requestId: friendship.id,
+      requesterId: userId,
+      requesterName: requester.name,
+    },
+  });
+
+  res.status(201).json({ message: "Friend request sent", requestId: friendship.id, status: friendship.status });
+});
+
+// --- Accept Friend Request ---
+export const acceptFriendRequest = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const requestId = parseId(req.params.requestId);
+
+  const request = await prisma.friendship.findFirst({
+    where: { id: requestId ?? -1, addresseeId: userId, status: "pending" },
+  });
+  if (!request) {
+    console.log("❌ Friend request not found");
+    return res.status(404).json({ error: "Friend request not found" });
+  }
+
+  await prisma.friendship.update({
+    where: { id: request.id },
+    data: { status: "accepted", respondedAt: new Date() },
+  });
+
+  console.log(`✅ Friend request ${request.id} accepted`);
+  res.json({ message: "Friend request accepted" });
+});
+
+// --- Decline Friend Request ---
+// The row is removed so the requester may ask again later.
+export const declineFriendRequest = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const requestId = parseId(req.params.requestId);
+
+  const request = await prisma.friendship.findFirst({
+    where: { id: requestId ?? -1, addresseeId: userId, status: "pending" },
+  });
+  if (!request) {
+    console.log("❌ Friend request not found");
+    return res.status(404).json({ error: "Friend request not found" });
+  }
+
+  await prisma.friendship.delete({ where: { id: request.id } });
+
+  console.log(`✅ Friend request ${request.id} declined`);
+  res.json({ message: "Friend request declined" });
+});
+
+// --- Remove Friend (or cancel an outgoing request) ---
+export const removeFriend = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const friendId = parseId(req.params.userId);
+  if (!friendId) {
+    return res.status(400).json({ error: "Invalid user ID" });
+  }
+
+  const friendship = await findFriendship(userId, friendId);
+  // An incoming pending request is declined, not removed
+  if (!friendship || (friendship.status === "pending" && friendship.requesterId !== userId)) {
+    return res.status(404).json({ error: "Friend not found" });
+  }
+
+  await prisma.friendship.delete({ where: { id: friendship.id } });
+
+  console.log(`✅ Friendship between ${userId} and ${friendId} removed`);
+  res.json({ message: friendship.status === "pending" ? "Friend request cancelled" : "Friend removed" });
+});
+
+// --- Block User ---
+// Blocking ends any friendship and hides both users from each other.
+export const blockUser = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const blockedId = parseId(req.params.userId);
+  if (!blockedId) {
+    return res.status(400).json({ error: "Invalid user ID" });
+  }
+  if (blockedId === userId) {
+    return res.status(400).json({ error: "You can't block yourself" });
+  }
+
+  const target = await prisma.user.findUnique({ where: { id: blockedId }, select: { id: true } });
+  if (!target) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  await prisma.$transaction([
+    prisma.friendship.deleteMany({
+      where: {
+        OR: [
+          { requesterId: userId, addresseeId: blockedId },
+          { requesterId: blockedId, addresseeId: userId },
+        ],
+      },
+    }),
+    prisma.challenge.updateMany({
+      where: {
+        status: "pending",
+        OR: [
+          { challengerId: userId, opponentId: blockedId },
+          { challengerId: blockedId, opponentId: userId },
+        ],
+      },
+      data: { status: "cancelled" },
+    }),
+    prisma.userBlock.upsert({
+      where: { blockerId_blockedId: { blockerId: userId, blockedId } },
+      update: {},
+      create: { blockerId: userId, blockedId },
+    }),
+  ]);
+
+  console.log(`🚫 User ${userId} blocked ${blockedId}`);
+  res.json({ message: "User blocked" });
+});
+
+// --- Unblock User ---
+export const unblockUser = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const blockedId = parseId(req.params.userId);
+  if (!blockedId) {
+    return res.status(400).json({ error: "Invalid user ID" });
+  }
+
+  const { count } = await prisma.userBlock.deleteMany({
+    where: { blockerId: userId, blockedId },
+  });
+  if (count === 0) {
+    return res.status(404).json({ error: "User is not blocked" });
+  }
+
+  console.log(`✅ User ${userId} unblocked ${blockedId}`);
+  res.json({ message: "User unblocked" });
+});
+
+// --- Get Blocked Users ---
+export const getBlockedUsers = asyncHandler(async (req, res) => {
+  const blocks = await prisma.userBlock.findMany({
+    where: { blockerId: req.userId },
+    include: { blocked: { select: { id: true, name: true } } },
+    orderBy: { createdAt: "desc" },
+  });
+
+  res.json({
+    blocked: blocks.map((b) => ({ ...b.blocked, blockedAt: b.createdAt })),
+  });
+});
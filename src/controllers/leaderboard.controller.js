@@ -0,0 +1,44 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import { PERIODS, getLeaderboard } from "../services/leaderboard.service.js";
+import { friendIds } from "../services/friend.service.js";
+
+// Parse ?period=&topic=&limit= shared by both leaderboards
+function parseQuery(query) {
+  const periodName = query.period || "all-time";
+  const period = PERIODS[periodName];
+  if (!period) {
+    return { error: `period must be one of: ${Object.keys(PERIODS).join(", ")}` };
+  }
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  return { periodName, period, topic: query.topic, limit };
+}
+
+// --- Global Leaderboard ---
+// GET /leaderboard?period=all-time|weekly|monthly&topic=<topic>&limit=20
+export const getGlobalLeaderboard = asyncHandler(async (req, res) => {
+  const { periodName, period, topic, limit, error } = parseQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  console.log(`🏅 Leaderboard ${period}${topic ? ` (${topic})` : ""} for user ${req.userId}`);
+
+  const leaderboard = await getLeaderboard({ period, topic, limit, userId: req.userId });
+  res.json({ ...leaderboard, period: periodName });
+});
+
+// --- Friends Leaderboard ---
+// Same as the global one, restricted to the user and their friends
+export const getFriendsLeaderboard = asyncHandler(async (req, res) => {
+  const { periodName, period, topic, limit, error } = parseQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const userIds = [req.userId, ...(await friendIds(req.userId))];
+
+  console.log(`🏅 Friends leaderboard ${period} for user ${req.userId} (${userIds.length} players)`);
+
+  const leaderboard = await getLeaderboard({ period, topic, limit, userIds, userId: req.userId });
+  res.json({ ...leaderboard, period: periodName });
+});
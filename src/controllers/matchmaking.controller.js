@@ -0,0 +1,103 @@
+import prisma from "../config/prisma.js";
+import asyncHandler from "../middleware/asyncHandler.js";
+import { QUIZ_DIFFICULTIES } from "../services/quiz.service.js";
+import { GenerationError } from "../services/generation.service.js";
+import { joinQueue, matchWithBot, formatTicket } from "../services/matchmaking.service.js";
+
+function parseTicketId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) ? null : id;
+}
+
+// Only a failed quiz generation is answered here; anything else is a real
+// error and goes to the error handler
+function generationFailed(res, error) {
+  if (!(error instanceof GenerationError)) throw error;
+
+  console.error("❌ Match quiz generation failed:", error);
+  return res.status(500).json({
+    error: "Failed to generate the match quiz. Please try again.",
+    generationId: error.generationId,
+  });
+}
+
+// --- Join Queue ---
+// POST /matchmaking/queue { topic, difficulty?, ratingBand? }
+// 201 with a matched ticket when an opponent was waiting, 202 otherwise
+export const joinMatchmaking = asyncHandler(async (req, res) => {
+  const { topic, difficulty = "medium", ratingBand } = req.body;
+  const userId = req.userId;
+
+  console.log(`🎲 Matchmaking request from user ${userId}: "${topic}" (${difficulty})`);
+
+  if (typeof topic !== "string" || topic.trim().length === 0) {
+    return res.status(400).json({ error: "Topic is required" });
+  }
+  if (!QUIZ_DIFFICULTIES.includes(difficulty)) {
+    return res.status(400).json({ error: `difficulty must be one of: ${QUIZ_DIFFICULTIES.join(", ")}` });
+  }
+
+  let band = null;
+  if (ratingBand !== undefined && ratingBand !== null) {
+    band = parseInt(ratingBand, 10);
+    if (isNaN(band) || band < 50 || band > 1000) {
+      return res.status(400).json({ error: "ratingBand must be between 50 and 1000" });
+    }
+  }
+
+  let ticket;
+  try {
+    ticket = await joinQueue({ userId, topic, difficulty, ratingBand: band });
+  } catch (error) {
+    return generationFailed(res, error);
+  }
+
+  res.status(ticket.status === "matched" ? 201 : 202).json(formatTicket(ticket));
+});
+
+// --- Poll Ticket ---
+// Clients poll until status is "matched"; a timed-out ticket is matched
+// with a bot here if the background job hasn't done it yet.
+export const getMatchmakingTicket = asyncHandler(async (req, res) => {
+  const ticketId = parseTicketId(req.params.ticketId);
+  if (!ticketId) {
+    return res.status(400).json({ error: "Invalid ticket ID" });
+  }
+
+  let ticket = await prisma.matchmakingTicket.findFirst({
+    where: { id: ticketId, userId: req.userId },
+  });
+  if (!ticket) {
+    return res.status(404).json({ error: "Ticket not found" });
+  }
+
+  if (ticket.status === "waiting" && ticket.expiresAt <= new Date()) {
+    try {
+      ticket = (await matchWithBot(ticket))
+        || (await prisma.matchmakingTicket.findUnique({ where: { id: ticketId } }));
+    } catch (error) {
+      return generationFailed(res, error);
+    }
+  }
+
+  res.json(formatTicket(ticket));
+});
+
+// --- Leave Queue ---
+export const leaveMatchmaking = asyncHandler(async (req, res) => {
+  const ticketId = parseTicketId(req.params.ticketId);
+  if (!ticketId) {
+    return res.status(400).json({ error: "Invalid ticket ID" });
+  }
+
+  const { count } = await prisma.matchmakingTicket.updateMany({
+    where: { id: ticketId, userId: req.userId, status: "waiting" },
+    data: { status: "cancelled" },
+  });
+  if (count === 0) {
+    return res.status(404).json({ error: "No waiting ticket found" });
+  }
+
+  console.log(`🚪 User ${req.userId} left the matchmaking queue`);
+  res.json({ message: "Left the matchmaking queue" });
+});
@@ -1,7 +1,8 @@
-import jwt from "jsonwebtoken";
+import prisma from "../../config/prisma.js";
+import { verifyAuthToken } from "../../services/token.service.js";
 
 // JWT Authentication Middleware
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
@@ -10,14 +11,46 @@ export const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: "Authentication token required" });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      console.log("❌ Invalid token:", err.message);
-      return res.status(403).json({ error: "Invalid or expired token" });
-    }
-    // Attach user ID to the request object
-    req.userId = user.userId;
-    console.log(`✅ Authenticated user ID: ${user.userId}`);
-    next();
+  let user;
+  try {
+    user = await verifyAuthToken(token);
+  } catch (err) {
+    console.log("❌ Invalid token:", err.message);
+    return res.status(403).json({ error: "Invalid or expired token" });
+  }
+
+  // Attach user ID (and the token payload, used by the settings routes)
+  req.userId = user.userId;
+  req.user = user;
+  console.log(`✅ Authenticated user ID: ${user.userId}`);
+  next();
+};
+
+// Blocks users who haven't verified their email yet. Use after authenticateToken.
+export const requireVerifiedEmail = async (req, res, next) => {
+  const user = await prisma.user.findUnique({
+    where: { id: req.userId },
+    select: { emailVerifiedAt: true },
   });
-};
\ No newline at end of file
+
+  if (!user?.emailVerifiedAt) {
+    console.log(`❌ User ${req.userId} has not verified their email`);
+    return res.status(403).json({
+      error: "Please verify your email address first",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+  next();
+};
+
+// Lets through only users whose token carries one of the given roles
+// (user, moderator, admin). Use after authenticateToken.
+export const authorize = (...roles) => (req, res, next) => {
+  const role = req.user?.role || "user";
+
+  if (!roles.includes(role)) {
+    console.log(`❌ User ${req.userId} (${role}) needs role: ${roles.join(" or ")}`);
+    return res.status(403).json({ error: "You don't have permission to do this" });
+  }
+  next();
+};
@@ -0,0 +1,58 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import prisma from "../config/prisma.js";
+import { listNotifications, countUnread, formatNotification } from "../services/notification.service.js";
+
+// --- Inbox ---
+// GET /notifications?unread=true&limit=20&before=<id>
+export const getNotifications = asyncHandler(async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const before = parseInt(req.query.before, 10) || undefined;
+  const unreadOnly = req.query.unread === "true";
+
+  const [page, unreadCount] = await Promise.all([
+    listNotifications(req.userId, { before, unreadOnly, limit }),
+    countUnread(req.userId),
+  ]);
+
+  res.json({ ...page, unreadCount });
+});
+
+// --- Unread Count ---
+export const getUnreadCount = asyncHandler(async (req, res) => {
+  res.json({ unreadCount: await countUnread(req.userId) });
+});
+
+// --- Mark One Read ---
+export const markNotificationRead = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.notificationId, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: "Invalid Notification ID" });
+  }
+
+  const notification = await prisma.notification.findFirst({
+    where: { id, userId: req.userId },
+  });
+  if (!notification) {
+    return res.status(404).json({ error: "Notification not found" });
+  }
+
+  const updated = notification.readAt
+    ? notification
+    : await prisma.notification.update({ where: { id }, data: { readAt: new Date() } });
+
+  res.json({
+    notification: formatNotification(updated),
+    unreadCount: await countUnread(req.userId),
+  });
+});
+
+// --- Mark All Read ---
+export const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const { count } = await prisma.notification.updateMany({
+    where: { userId: req.userId, readAt: null },
+    data: { readAt: new Date() },
+  });
+
+  console.log(`📭 User ${req.userId} marked ${count} notification(s) read`);
+  res.json({ message: "All notifications marked as read", updated: count, unreadCount: 0 });
+});
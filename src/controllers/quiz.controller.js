@@ -1,95 +1,16 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
 import prisma from "../config/prisma.js";
-// Note: GoogleGenerativeAI is loaded lazily in getGeminiModel()
-import { Groq } from "groq-sdk";
-import { generateQuizPrompt } from "../prompts/quizGenrationPrompt.js"; 
-
-// ==================== CONFIGURATION ====================
-// NOTE: API keys are loaded at runtime, not module load time (for Linux compatibility)
-
-// 1. Initialize Gemini (Lazy Load to avoid crash before env loads)
-let geminiModel;
-function getGeminiModel() {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY is missing");
-  }
-  if (!geminiModel) {
-    const { GoogleGenerativeAI } = require("@google/generative-ai");
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    geminiModel = genAI.getGenerativeModel({
-      model: "gemini-2.5-flash",
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
-        responseMimeType: "application/json",
-      },
-    });
-  }
-  return geminiModel;
-}
-
-// 2. Initialize Groq
-// 2. Initialize Groq (Lazy Load to avoid crash on Azure)
-let groq;
-function getGroqClient() {
-  if (!process.env.GROQ_API_KEY) {
-    throw new Error("GROQ_API_KEY is missing");
-  }
-  if (!groq) {
-    groq = new Groq({
-      apiKey: process.env.GROQ_API_KEY,
-    });
-  }
-  return groq;
-}
-
-// Global counter to toggle between models
-let requestCounter = 0;
-
-// ==================== HELPER FUNCTIONS ====================
-
-// Unified text extractor for both Gemini and Groq responses
-async function extractTextFromResult(result, provider) {
-  try {
-    if (provider === "GEMINI") {
-      const response = result?.response;
-      if (typeof response?.text === "function") return await response.text();
-      return JSON.stringify(result);
-    } 
-    
-    if (provider === "GROQ") {
-        return result.choices?.[0]?.message?.content || "";
-    }
-
-    return "";
-  } catch (err) {
-    console.warn(`Failed to extract text from ${provider} result`, err);
-    return "";
-  }
-}
-
-// Clean and Parse JSON from LLM response
-function parseQuizJSON(text) {
-  let cleanedText = (text || "").trim();
-
-  // Remove markdown code fences
-  cleanedText = cleanedText.replace(/^```json\n?/g, "").replace(/^```\n?/g, "").replace(/\n?```$/g, "").trim();
-
-  // Attempt direct parse
-  try {
-    return JSON.parse(cleanedText);
-  } catch (e) {
-    // Attempt to extract JSON substring
-    const firstBrace = cleanedText.indexOf("{");
-    const lastBrace = cleanedText.lastIndexOf("}");
-    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-      return JSON.parse(cleanedText.substring(firstBrace, lastBrace + 1));
-    }
-    throw e;
-  }
-}
+import { GenerationError } from "../services/generation.service.js";
+import { summarizeValidation } from "../schemas/aiOutput.schema.js";
+import {
+  clampQuestionCount,
+  generateQuizForUser,
+  findPlayableQuiz,
+  toPlayQuestion,
+  withoutAnswerKey,
+  findSealedQuizIds,
+  isQuizSealed,
+} from "../services/quiz.service.js";
 
 // ==================== MAIN CONTROLLER ====================
 
@@ -97,132 +18,43 @@ export const generateQuiz = asyncHandler(async (req, res) => {
   const { topic, questionCount = 15, difficulty = "medium" } = req.body;
   const userId = req.userId;
 
-  // Increment Request Counter
-  requestCounter++;
-  
-  // Logic: Odd = Gemini, Even = Groq/Llama
-  const useGroq = requestCounter % 2 === 0;
-  const currentProvider = useGroq ? "GROQ (Llama)" : "GEMINI";
-
   // Validation
   if (!topic || topic.trim().length === 0) {
     return res.status(400).json({ error: "Topic is required" });
   }
 
-  const validQuestionCount = Math.min(Math.max(parseInt(questionCount, 10) || 15, 10), 50);
+  const validQuestionCount = clampQuestionCount(questionCount);
 
-  console.log(`\n🎯 Request #${requestCounter} | Provider: ${currentProvider}`);
   console.log(`📝 Generating ${validQuestionCount} questions on: "${topic}" (${difficulty})`);
 
-  let rawText = "";
-
   try {
-    const prompt = generateQuizPrompt(topic, validQuestionCount, difficulty);
-
-    if (useGroq) {
-      // --- GROQ EXECUTION ---
-      const completion = await getGroqClient().chat.completions.create({
-        model: process.env.LLAMA_MODEL_NAME || "llama-3.1-8b-instant",
-        messages: [
-          { role: "system", content: "You are a high-quality JSON-only quiz generator. Return only valid JSON." },
-          { role: "user", content: prompt }
-        ],
-        temperature: 0.7,
-        max_completion_tokens: 8192,
-      });
-      rawText = await extractTextFromResult(completion, "GROQ");
-    } else {
-      // --- GEMINI EXECUTION ---
-      const result = await getGeminiModel().generateContent(prompt);
-      rawText = await extractTextFromResult(result, "GEMINI");
-    }
-
-    console.log(`✅ ${currentProvider} response received. Length: ${rawText.length}`);
-
-    // --- COMMON PARSING LOGIC ---
-    let quizData;
-    try {
-      quizData = parseQuizJSON(rawText);
-      
-      if (!quizData.questions || !Array.isArray(quizData.questions)) {
-        throw new Error("Missing 'questions' array in response");
-      }
-    } catch (parseError) {
-      console.error(`❌ Failed to parse JSON from ${currentProvider}`);
-      return res.status(500).json({ error: "AI generation failed (Parsing Error). Please try again." });
-    }
-
-    // --- COMMON VALIDATION LOGIC ---
-    const validatedQuestions = [];
-    
-    for (let i = 0; i < quizData.questions.length; i++) {
-      const q = quizData.questions[i];
-      try {
-        if (!q.questionText || !Array.isArray(q.options) || q.options.length !== 4) continue;
-
-        let correctAnswerIndex = q.correctAnswer;
-        
-        // Fix string-based answers or string-based indices
-        if (typeof correctAnswerIndex === 'string') {
-            // Check if it's a number string "0"
-            if (!isNaN(parseInt(correctAnswerIndex))) {
-                correctAnswerIndex = parseInt(correctAnswerIndex);
-            } else {
-                // It's the text of the answer, find index
-                correctAnswerIndex = q.options.findIndex(opt => opt.trim() === correctAnswerIndex.trim());
-            }
-        }
-
-        if (correctAnswerIndex < 0 || correctAnswerIndex > 3 || isNaN(correctAnswerIndex)) {
-            // Fallback: If AI messed up, set to 0 (First option)
-            console.warn(`⚠️ Invalid answer index at Q${i}, defaulting to 0`);
-            correctAnswerIndex = 0;
-        }
-
-        validatedQuestions.push({
-          questionText: q.questionText.trim(),
-          options: q.options.map(o => String(o).trim()),
-          correctAnswer: correctAnswerIndex
-        });
-      } catch (e) {
-        continue; // Skip bad questions
-      }
-    }
-
-    if (validatedQuestions.length === 0) {
-      throw new Error("No valid questions parsed from AI response");
-    }
-
-    // --- DB SAVING (PRISMA) ---
-    const quiz = await prisma.quiz.create({
-      data: {
-        title: `${topic} Quiz`,
-        userId,
-        questions: {
-          create: validatedQuestions.map((q, index) => ({
-            questionText: q.questionText,
-            options: q.options,
-            correctAnswer: q.correctAnswer,
-            questionNumber: index + 1,
-          })),
-        },
-      },
-      include: {
-        questions: { orderBy: { questionNumber: "asc" } },
-      },
+    const { quiz, provider, generationId, issues } = await generateQuizForUser({
+      userId,
+      topic,
+      questionCount: validQuestionCount,
+      difficulty,
     });
 
-    console.log(`💾 Quiz saved! ID: ${quiz.id}`);
-
     res.status(201).json({
       quizId: quiz.id,
       title: quiz.title,
+      provider,
+      generationId,
       questionCount: quiz.questions.length,
-      questions: quiz.questions,
+      // Play representation: the answer key is only available via
+      // GET /quiz/:quizId?mode=edit or an attempt review
+      questions: quiz.questions.map(toPlayQuestion),
+      validation: summarizeValidation(quiz.questions.length, issues),
     });
 
   } catch (error) {
     console.error("❌ Generation Error:", error);
+    if (error instanceof GenerationError && error.reason === "parse") {
+      return res.status(500).json({
+        error: "AI generation failed (Parsing Error). Please try again.",
+        generationId: error.generationId,
+      });
+    }
     // Determine if it's an API Key/Quota issue
     const msg = error.message?.toLowerCase() || "";
     if (msg.includes("api key") || msg.includes("unauthorized")) {
@@ -245,10 +77,36 @@ export const getMyQuizResults = asyncHandler(async (req, res) => {
   const history = await prisma.quizResult.findMany({
     where: { userId: userId },
     orderBy: { createdAt: 'desc' },
+    include: {
+      attempt: { select: { id: true } },
+      challengeResult: { select: { id: true } },
+    },
+  });
+
+  // Answers are shown for results the server scored, or once the user has
+  // finished an attempt on the quiz, never while a challenge on it is unplayed
+  const legacyQuizIds = history
+    .filter((r) => !r.attempt && !r.challengeResult && r.quizId)
+    .map((r) => r.quizId);
+  const [sealed, finishedAttempts] = await Promise.all([
+    findSealedQuizIds(userId),
+    legacyQuizIds.length > 0
+      ? prisma.quizAttempt.findMany({
+          where: { userId, status: "completed", quizId: { in: legacyQuizIds } },
+          select: { quizId: true },
+        })
+      : [],
+  ]);
+  const played = new Set(finishedAttempts.map((a) => a.quizId));
+
+  const results = history.map(({ attempt, challengeResult, ...result }) => {
+    const revealed =
+      !sealed.has(result.quizId) && (attempt || challengeResult || played.has(result.quizId));
+    return revealed ? result : { ...result, questionsJson: withoutAnswerKey(result.questionsJson) };
   });
 
   console.log(`✅ Found ${history.length} quiz results for user ${userId}`);
-  res.json(history);
+  res.json(results);
 });
 
 
@@ -271,9 +129,12 @@ export const getMyQuizzes = asyncHandler(async (req, res) => {
     })),
   });
 });
+// Returns the play representation (no answers) unless the owner asks for
+// ?mode=edit. Challenge participants can fetch the quiz they play.
 export const getQuiz = asyncHandler(async (req, res) => {
   const { quizId } = req.params;
   const userId = req.userId || req.user?.id; // Handle both middleware types
+  const editMode = req.query.mode === "edit";
 
   // FIX: Validate ID before calling Prisma
   const id = parseInt(quizId, 10);
@@ -281,19 +142,24 @@ export const getQuiz = asyncHandler(async (req, res) => {
     return res.status(400).json({ error: "Invalid Quiz ID provided" });
   }
 
-  const quiz = await prisma.quiz.findFirst({
-    where: { id: id, userId },
-    include: { questions: { orderBy: { questionNumber: "asc" } } },
-  });
-
+  const quiz = await findPlayableQuiz(userId, id);
   if (!quiz) return res.status(404).json({ error: "Quiz not found" });
 
+  if (editMode && quiz.userId !== userId) {
+    return res.status(403).json({ error: "Only the quiz owner can view the answer key" });
+  }
+  // Even the owner waits while the quiz is in a challenge they haven't played
+  if (editMode && (await isQuizSealed(userId, id))) {
+    return res.status(403).json({ error: "The answer key is hidden until you've played your challenge" });
+  }
+
   res.json({
     id: quiz.id,
     title: quiz.title,
     createdAt: quiz.createdAt,
+    mode: editMode ? "edit" : "play",
     questionCount: quiz.questions.length,
-    questions: quiz.questions,
+    questions: editMode ? quiz.questions : quiz.questions.map(toPlayQuestion),
   });
 });
 
@@ -329,40 +195,11 @@ export const getQuizCount = asyncHandler(async (req, res) => {
 
 
 
-export const saveQuizResult = async (req, res) => {
-  try {
-    const userId = req.userId;
-    const { 
-      quizId, 
-      quizTitle, 
-      score, 
-      totalQuestions, 
-      timeTaken, 
-      questions, // Full list of questions
-      userSelectedAnswers // List of user's selected indices (e.g. [0, 1, -1, 2])
-    } = req.body;
-
-    const percentage = totalQuestions > 0 ? (score / totalQuestions) * 100 : 0;
-
-    const result = await prisma.quizResult.create({
-      data: {
-        userId,
-        quizId: quizId ? parseInt(quizId) : null,
-        quizTitle,
-        score,
-        totalQuestions,
-        percentage,
-        timeTaken,
-        // Save the detailed history as JSON
-        questionsJson: questions || [],
-        userAnswersJson: userSelectedAnswers || [] 
-      }
-    });
-
-    res.status(201).json(result);
-  } catch (error) {
-    console.error("Save Result Error:", error);
-    res.status(500).json({ error: "Failed to save result" });
-  }
+// Legacy one-shot result submission, retired: it trusted the client's
+// timing and could be replayed without limit. Results are recorded by
+// finishing an attempt (POST /quiz/:quizId/attempts).
+export const saveQuizResult = (req, res) => {
+  res.status(410).json({
+    error: "This endpoint has been retired. Start an attempt with POST /quiz/:quizId/attempts instead.",
+  });
 };
-
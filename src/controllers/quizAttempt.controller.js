@@ -0,0 +1,284 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import prisma from "../config/prisma.js";
+import {
+  findPlayableQuiz,
+  isQuizSealed,
+  toPlayQuestion,
+  scoreAnswers,
+  toResultQuestions,
+  recordQuizResult,
+} from "../services/quiz.service.js";
+import { evaluateAchievements } from "../services/achievement.service.js";
+
+// ==================== HELPER FUNCTIONS ====================
+
+function parseId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) ? null : id;
+}
+
+// Load one of the user's attempts together with its quiz questions
+async function findOwnAttempt(attemptId, userId) {
+  return prisma.quizAttempt.findFirst({
+    where: { id: attemptId, userId },
+    include: {
+      quiz: {
+        include: { questions: { orderBy: { questionNumber: "asc" } } },
+      },
+    },
+  });
+}
+
+// Validate [{ questionId, selectedAnswer }] against the quiz questions.
+// Returns { answers } merged into a questionId -> index map, or { error }.
+function applyAnswers(questions, current, submitted) {
+  const answers = { ...current };
+
+  for (const entry of submitted) {
+    const questionId = parseId(entry?.questionId);
+    const question = questions.find((q) => q.id === questionId);
+    if (!question) {
+      return { error: `Question ${entry?.questionId} is not part of this quiz` };
+    }
+
+    const selected = entry.selectedAnswer;
+    if (selected === null || selected === undefined || selected === -1) {
+      delete answers[question.id];
+      continue;
+    }
+    if (!Number.isInteger(selected) || selected < 0 || selected >= question.options.length) {
+      return { error: `Invalid answer for question ${question.id}` };
+    }
+    answers[question.id] = selected;
+  }
+
+  return { answers };
+}
+
+function formatAttempt(attempt) {
+  return {
+    attemptId: attempt.id,
+    quizId: attempt.quizId,
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    finishedAt: attempt.finishedAt,
+    answeredQuestionIds: Object.keys(attempt.answers || {}).map(Number),
+    resultId: attempt.resultId,
+  };
+}
+
+const SEALED_QUIZ_ERROR = "This quiz is part of a challenge you haven't played yet";
+
+// ==================== CONTROLLERS ====================
+
+// Start (or resume) an attempt for a quiz
+export const startAttempt = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const quizId = parseId(req.params.quizId);
+  if (!quizId) {
+    return res.status(400).json({ error: "Invalid Quiz ID provided" });
+  }
+
+  const quiz = await findPlayableQuiz(userId, quizId);
+  if (!quiz) {
+    return res.status(404).json({ error: "Quiz not found" });
+  }
+  if (quiz.questions.length === 0) {
+    return res.status(400).json({ error: "Quiz has no questions" });
+  }
+  if (await isQuizSealed(userId, quizId)) {
+    return res.status(409).json({ error: SEALED_QUIZ_ERROR });
+  }
+
+  let attempt = await prisma.quizAttempt.findFirst({
+    where: { userId, quizId, status: "in_progress" },
+    orderBy: { startedAt: "desc" },
+  });
+  const resumed = Boolean(attempt);
+
+  if (!attempt) {
+    attempt = await prisma.quizAttempt.create({
+      data: { userId, quizId },
+    });
+  }
+
+  console.log(`▶️ Attempt ${attempt.id} ${resumed ? "resumed" : "started"} on quiz ${quizId} by user ${userId}`);
+
+  res.status(resumed ? 200 : 201).json({
+    ...formatAttempt(attempt),
+    resumed,
+    quiz: {
+      id: quiz.id,
+      title: quiz.title,
+      questionCount: quiz.questions.length,
+      questions: quiz.questions.map(toPlayQuestion),
+    },
+  });
+});
+
+// Get attempt progress (never reveals correctness while in progress)
+export const getAttempt = asyncHandler(async (req, res) => {
+  const attemptId = parseId(req.params.attemptId);
+  if (!attemptId) {
+    return res.status(400).json({ error: "Invalid Attempt ID" });
+  }
+
+  const attempt = await findOwnAttempt(attemptId, req.userId);
+  if (!attempt) {
+    return res.status(404).json({ error: "Attempt not found" });
+  }
+
+  res.json(formatAttempt(attempt));
+});
+
+// Submit one answer ({ questionId, selectedAnswer }) or many ({ answers: [...] })
+export const submitAnswers = asyncHandler(async (req, res) => {
+  const attemptId = parseId(req.params.attemptId);
+  if (!attemptId) {
+    return res.status(400).json({ error: "Invalid Attempt ID" });
+  }
+
+  const submitted = Array.isArray(req.body.answers) ? req.body.answers : [req.body];
+
+  const attempt = await findOwnAttempt(attemptId, req.userId);
+  if (!attempt) {
+    return res.status(404).json({ error: "Attempt not found" });
+  }
+  if (attempt.status !== "in_progress") {
+    return res.status(409).json({ error: "Attempt is already finished" });
+  }
+
+  const { answers, error } = applyAnswers(attempt.quiz.questions, attempt.answers, submitted);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const updated = await prisma.quizAttempt.update({
+    where: { id: attemptId },
+    data: { answers },
+  });
+
+  res.json(formatAttempt(updated));
+});
+
+// Finish the attempt: the server scores it and writes the QuizResult
+export const finishAttempt = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+  const attemptId = parseId(req.params.attemptId);
+  if (!attemptId) {
+    return res.status(400).json({ error: "Invalid Attempt ID" });
+  }
+
+  const attempt = await findOwnAttempt(attemptId, userId);
+  if (!attempt) {
+    return res.status(404).json({ error: "Attempt not found" });
+  }
+  if (attempt.status !== "in_progress") {
+    return res.status(409).json({ error: "Attempt is already finished" });
+  }
+  // Started before the challenge was sent; its result would give the answers away
+  if (await isQuizSealed(userId, attempt.quizId)) {
+    return res.status(409).json({ error: SEALED_QUIZ_ERROR });
+  }
+
+  // Optional last batch of answers sent together with "finish"
+  const { answers, error } = applyAnswers(
+    attempt.quiz.questions,
+    attempt.answers,
+    Array.isArray(req.body.answers) ? req.body.answers : []
+  );
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const finishedAt = new Date();
+  const { questions } = attempt.quiz;
+  const { score, totalQuestions, percentage, userAnswers } = scoreAnswers(questions, answers);
+  const timeTaken = Math.round((finishedAt - attempt.startedAt) / 1000);
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Claim the attempt so a double submit cannot write two results
+    const claimed = await tx.quizAttempt.updateMany({
+      where: { id: attemptId, status: "in_progress" },
+      data: { status: "completed", finishedAt, answers },
+    });
+    if (claimed.count === 0) return null;
+
+    const created = await recordQuizResult({
+      userId,
+      quizId: attempt.quizId,
+      quizTitle: attempt.quiz.title,
+      topic: attempt.quiz.topic,
+      score,
+      totalQuestions,
+      percentage,
+      timeTaken,
+      questionsJson: toResultQuestions(questions),
+      userAnswersJson: userAnswers,
+    }, tx);
+
+    await tx.quizAttempt.update({
+      where: { id: attemptId },
+      data: { resultId: created.id },
+    });
+    return created;
+  });
+
+  if (!result) {
+    return res.status(409).json({ error: "Attempt is already finished" });
+  }
+
+  console.log(`✅ Attempt ${attemptId} finished: ${score}/${totalQuestions} in ${timeTaken}s`);
+
+  const newAchievements = await evaluateAchievements(userId, "quiz");
+
+  res.json({
+    attemptId,
+    status: "completed",
+    resultId: result.id,
+    score,
+    totalQuestions,
+    percentage,
+    timeTaken,
+    newAchievements,
+  });
+});
+
+// Review a finished attempt: answers and explanations are revealed here
+export const reviewAttempt = asyncHandler(async (req, res) => {
+  const attemptId = parseId(req.params.attemptId);
+  if (!attemptId) {
+    return res.status(400).json({ error: "Invalid Attempt ID" });
+  }
+
+  const attempt = await findOwnAttempt(attemptId, req.userId);
+  if (!attempt) {
+    return res.status(404).json({ error: "Attempt not found" });
+  }
+  if (attempt.status !== "completed") {
+    return res.status(403).json({ error: "Finish the attempt to review answers" });
+  }
+  if (await isQuizSealed(req.userId, attempt.quizId)) {
+    return res.status(409).json({ error: SEALED_QUIZ_ERROR });
+  }
+
+  const answers = attempt.answers || {};
+  const questions = attempt.quiz.questions.map((q) => {
+    const selectedAnswer = answers[q.id] ?? -1;
+    return {
+      ...toPlayQuestion(q),
+      correctAnswer: q.correctAnswer,
+      explanation: q.explanation,
+      selectedAnswer,
+      isCorrect: selectedAnswer === q.correctAnswer,
+    };
+  });
+
+  res.json({
+    ...formatAttempt(attempt),
+    quiz: { id: attempt.quiz.id, title: attempt.quiz.title },
+    score: questions.filter((q) => q.isCorrect).length,
+    totalQuestions: questions.length,
+    questions,
+  });
+});
@@ -0,0 +1,37 @@
+import asyncHandler from "../middleware/asyncHandler.js";
+import { REPORTABLE_CONTENT_TYPES, findContent, reportContent } from "../services/moderation.service.js";
+
+const MAX_REASON_LENGTH = 500;
+
+// --- Report Content ---
+// POST /reports { contentType, contentId, reason }
+export const createReport = asyncHandler(async (req, res) => {
+  const { contentType, reason } = req.body;
+  const contentId = parseInt(req.body.contentId, 10);
+
+  if (!REPORTABLE_CONTENT_TYPES.includes(contentType)) {
+    return res.status(400).json({ error: `contentType must be one of: ${REPORTABLE_CONTENT_TYPES.join(", ")}` });
+  }
+  if (isNaN(contentId)) {
+    return res.status(400).json({ error: "Invalid content ID" });
+  }
+  if (typeof reason !== "string" || !reason.trim() || reason.trim().length > MAX_REASON_LENGTH) {
+    return res.status(400).json({ error: `A reason of at most ${MAX_REASON_LENGTH} characters is required` });
+  }
+
+  const content = await findContent(contentType, contentId);
+  if (!content) {
+    return res.status(404).json({ error: "Content not found" });
+  }
+  if (content.userId === req.userId) {
+    return res.status(400).json({ error: "You can't report your own content" });
+  }
+
+  const { report, created } = await reportContent(req.userId, { contentType, contentId, reason: reason.trim() });
+  console.log(`🚩 User ${req.userId} reported ${contentType} ${contentId}`);
+
+  res.status(created ? 201 : 200).json({
+    message: created ? "Report submitted" : "You already reported this",
+    report: { id: report.id, status: report.status, createdAt: report.createdAt },
+  });
+});
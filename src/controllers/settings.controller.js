@@ -1,4 +1,9 @@
 import prisma from "../config/prisma.js";
+import { isValidTimezone } from "../services/activity.service.js";
+import { isValidTime } from "../services/notification.service.js";
+
+const GOAL_FIELDS = ["dailyQuizGoal", "dailyCardGoal", "dailyMinutesGoal"];
+const MAX_GOAL = 1000;
 
 // Get user settings
 export const getUserSettings = async (req, res) => {
@@ -20,6 +25,8 @@ export const getUserSettings = async (req, res) => {
           darkMode: false,
           language: 'English',
           autoSaveProgress: true,
+          friendsOnlyChallenges: false,
+          timezone: 'UTC',
         },
       });
     }
@@ -49,8 +56,51 @@ export const updateUserSettings = async (req, res) => {
       darkMode,
       language,
       autoSaveProgress,
+      friendsOnlyChallenges,
+      timezone,
+      dailyQuizGoal,
+      dailyCardGoal,
+      dailyMinutesGoal,
+      remindersEnabled,
+      reminderTime,
+      quietHoursStart,
+      quietHoursEnd,
     } = req.body;
 
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({
+        success: false,
+        message: "timezone must be an IANA timezone name, e.g. Europe/Berlin",
+      });
+    }
+
+    const invalidGoal = GOAL_FIELDS.find((field) => req.body[field] !== undefined
+      && !(Number.isInteger(req.body[field]) && req.body[field] >= 0 && req.body[field] <= MAX_GOAL));
+    if (invalidGoal) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidGoal} must be a whole number between 0 and ${MAX_GOAL}`,
+      });
+    }
+
+    if (reminderTime !== undefined && !isValidTime(reminderTime)) {
+      return res.status(400).json({
+        success: false,
+        message: "reminderTime must be a time like 18:00",
+      });
+    }
+
+    // Quiet hours are set (as HH:MM) or cleared (null) together
+    if (quietHoursStart !== undefined || quietHoursEnd !== undefined) {
+      const cleared = quietHoursStart === null && quietHoursEnd === null;
+      if (!cleared && !(isValidTime(quietHoursStart) && isValidTime(quietHoursEnd))) {
+        return res.status(400).json({
+          success: false,
+          message: "quietHoursStart and quietHoursEnd must both be times like 22:00, or both null",
+        });
+      }
+    }
+
     const settings = await prisma.userSettings.upsert({
       where: { userId },
       update: {
@@ -60,6 +110,15 @@ export const updateUserSettings = async (req, res) => {
         darkMode,
         language,
         autoSaveProgress,
+        friendsOnlyChallenges,
+        timezone,
+        dailyQuizGoal,
+        dailyCardGoal,
+        dailyMinutesGoal,
+        remindersEnabled,
+        reminderTime,
+        quietHoursStart,
+        quietHoursEnd,
       },
       create: {
         userId,
@@ -69,6 +128,15 @@ export const updateUserSettings = async (req, res) => {
         darkMode: darkMode ?? false,
         language: language ?? 'English',
         autoSaveProgress: autoSaveProgress ?? true,
+        friendsOnlyChallenges: friendsOnlyChallenges ?? false,
+        timezone: timezone ?? 'UTC',
+        dailyQuizGoal,
+        dailyCardGoal,
+        dailyMinutesGoal,
+        remindersEnabled,
+        reminderTime,
+        quietHoursStart,
+        quietHoursEnd,
       },
     });
 
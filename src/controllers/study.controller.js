@@ -1,56 +1,258 @@
 import { asyncHandler } from "../utils/asyncHandler.js";
+import prisma from "../config/prisma.js";
 import { generateStudySetPrompt } from "../prompts/studyPrompts.js";
-import { GoogleGenerativeAI } from "@google/generative-ai";
-
-// Initialize Gemini
-let geminiModel;
-function getGeminiModel() {
-  if (!process.env.GEMINI_API_KEY) {
-    throw new Error("GEMINI_API_KEY is missing");
-  }
-  if (!geminiModel) {
-    const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    // Using 1.5-flash as it is fast and cheap, perfect for large context
-    geminiModel = genAI.getGenerativeModel({
-      model: "gemini-1.5-flash", 
-      generationConfig: {
-        responseMimeType: "application/json",
+import { generateJSON } from "../services/generation.service.js";
+import { studySetSchema, validateDocument, summarizeValidation } from "../schemas/aiOutput.schema.js";
+
+// ==================== HELPER FUNCTIONS ====================
+
+function formatStudySet(set) {
+  return {
+    id: set.id,
+    title: set.title,
+    summary: set.summary,
+    podcastScript: set.podcastScript,
+    flashcards: set.flashcards,
+    quiz: set.quiz,
+    sourceExcerpt: set.sourceExcerpt,
+    flashcardSetId: set.flashcardSetId,
+    quizId: set.quizId,
+    createdAt: set.createdAt,
+  };
+}
+
+function parseStudySetId(value) {
+  const id = parseInt(value, 10);
+  return isNaN(id) ? null : id;
+}
+
+// Copy the embedded flashcards into a real FlashcardSet (idempotent)
+async function materializeFlashcardSet(tx, studySet) {
+  if (studySet.flashcardSetId) return studySet;
+  if (studySet.flashcards.length === 0) return studySet;
+
+  const flashcardSet = await tx.flashcardSet.create({
+    data: {
+      title: `${studySet.title} Flashcards`,
+      topic: studySet.title,
+      userId: studySet.userId,
+      generationId: studySet.generationId,
+      cards: {
+        create: studySet.flashcards.map((card, index) => ({
+          front: card.front,
+          back: card.back,
+          cardNumber: index + 1,
+        })),
       },
-    });
+    },
+  });
+
+  // Link it unless a concurrent call already did; then ours is dropped
+  const claimed = await tx.studySet.updateMany({
+    where: { id: studySet.id, flashcardSetId: null },
+    data: { flashcardSetId: flashcardSet.id },
+  });
+  if (claimed.count === 0) {
+    await tx.flashcardSet.delete({ where: { id: flashcardSet.id } });
   }
-  return geminiModel;
+  return tx.studySet.findUnique({ where: { id: studySet.id } });
 }
 
+// Copy the embedded quiz into a Quiz with Question rows (idempotent)
+async function materializeQuiz(tx, studySet) {
+  if (studySet.quizId) return studySet;
+  if (studySet.quiz.length === 0) return studySet;
+
+  const quiz = await tx.quiz.create({
+    data: {
+      title: `${studySet.title} Quiz`,
+      topic: studySet.title,
+      userId: studySet.userId,
+      generationId: studySet.generationId,
+      questions: {
+        create: studySet.quiz.map((q, index) => ({
+          questionText: q.questionText,
+          options: q.options,
+          correctAnswer: q.correctAnswer,
+          explanation: q.explanation,
+          questionNumber: index + 1,
+        })),
+      },
+    },
+  });
+
+  // Link it unless a concurrent call already did; then ours is dropped
+  const claimed = await tx.studySet.updateMany({
+    where: { id: studySet.id, quizId: null },
+    data: { quizId: quiz.id },
+  });
+  if (claimed.count === 0) {
+    await tx.quiz.delete({ where: { id: quiz.id } });
+  }
+  return tx.studySet.findUnique({ where: { id: studySet.id } });
+}
+
+// ==================== CONTROLLERS ====================
+
+// Generate and save a study set
 export const generateStudySet = asyncHandler(async (req, res) => {
-  const { text } = req.body;
+  const { text, title, createFlashcardSet = false, createQuiz = false } = req.body;
+  const userId = req.userId;
 
-  if (!text || text.trim().length < 50) {
+  if (title !== undefined && title !== null && typeof title !== "string") {
+    return res.status(400).json({ error: "title must be a string" });
+  }
+  if (typeof text !== "string" || text.trim().length < 50) {
     return res.status(400).json({ error: "Please provide more text to analyze (min 50 chars)." });
   }
 
   console.log(`🧠 Generating Study Set for text length: ${text.length}`);
 
   try {
-    const model = getGeminiModel();
     const prompt = generateStudySetPrompt(text);
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const textResult = response.text();
+    const { data: { value: studyData, issues }, provider, generationId } = await generateJSON({
+      kind: "studySet",
+      prompt,
+      system: "You are a JSON-only study material generator. Return only valid JSON.",
+      params: { topic: text.substring(0, 40) },
+      userId,
+      validate: (data) => {
+        const result = validateDocument(studySetSchema, data);
+        const { flashcards, quiz } = result.value;
+        if (flashcards.length === 0 && quiz.length === 0) {
+          throw new Error("Study set has no valid flashcards or quiz questions");
+        }
+        return result;
+      },
+    });
 
-    let studyData;
-    try {
-      studyData = JSON.parse(textResult);
-    } catch (e) {
-      // Fallback cleanup if model returns markdown
-      const cleaned = textResult.replace(/```json/g, "").replace(/```/g, "");
-      studyData = JSON.parse(cleaned);
-    }
+    const studySet = await prisma.$transaction(async (tx) => {
+      let set = await tx.studySet.create({
+        data: {
+          userId,
+          title: title?.trim() || studyData.title || "Study Set",
+          summary: studyData.summary,
+          podcastScript: studyData.podcastScript,
+          flashcards: studyData.flashcards,
+          quiz: studyData.quiz,
+          sourceExcerpt: text.trim().substring(0, 200),
+          generationId,
+        },
+      });
+      if (createFlashcardSet) set = await materializeFlashcardSet(tx, set);
+      if (createQuiz) set = await materializeQuiz(tx, set);
+      return set;
+    });
 
-    res.json(studyData);
+    console.log(`💾 Study set saved! ID: ${studySet.id} (by ${provider})`);
+
+    const accepted = studyData.flashcards.length + studyData.quiz.length + studyData.podcastScript.length;
+    res.status(201).json({
+      ...formatStudySet(studySet),
+      provider,
+      generationId,
+      validation: summarizeValidation(accepted, issues),
+    });
 
   } catch (error) {
     console.error("❌ Study Set Generation Error:", error);
     res.status(500).json({ error: "Failed to generate study set. Please try again." });
   }
 });
+
+// Get user's study sets
+export const getMyStudySets = asyncHandler(async (req, res) => {
+  const userId = req.userId;
+
+  const sets = await prisma.studySet.findMany({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+  });
+
+  res.json({
+    studySets: sets.map((set) => ({
+      id: set.id,
+      title: set.title,
+      sourceExcerpt: set.sourceExcerpt,
+      flashcardCount: set.flashcards.length,
+      questionCount: set.quiz.length,
+      flashcardSetId: set.flashcardSetId,
+      quizId: set.quizId,
+      createdAt: set.createdAt,
+    })),
+  });
+});
+
+// Get single study set
+export const getStudySet = asyncHandler(async (req, res) => {
+  const id = parseStudySetId(req.params.studySetId);
+  if (!id) {
+    return res.status(400).json({ error: "Invalid Study Set ID" });
+  }
+
+  const set = await prisma.studySet.findFirst({ where: { id, userId: req.userId } });
+  if (!set) {
+    return res.status(404).json({ error: "Study set not found" });
+  }
+
+  res.json(formatStudySet(set));
+});
+
+// Delete study set (materialized flashcard sets and quizzes are kept)
+export const deleteStudySet = asyncHandler(async (req, res) => {
+  const id = parseStudySetId(req.params.studySetId);
+  if (!id) {
+    return res.status(400).json({ error: "Invalid Study Set ID" });
+  }
+
+  const set = await prisma.studySet.findFirst({ where: { id, userId: req.userId } });
+  if (!set) {
+    return res.status(404).json({ error: "Study set not found" });
+  }
+
+  await prisma.studySet.delete({ where: { id } });
+  res.json({ message: "Study set deleted successfully" });
+});
+
+// Turn the embedded flashcards into a FlashcardSet
+export const createStudySetFlashcards = asyncHandler(async (req, res) => {
+  const id = parseStudySetId(req.params.studySetId);
+  if (!id) {
+    return res.status(400).json({ error: "Invalid Study Set ID" });
+  }
+
+  const set = await prisma.studySet.findFirst({ where: { id, userId: req.userId } });
+  if (!set) {
+    return res.status(404).json({ error: "Study set not found" });
+  }
+  if (set.flashcards.length === 0) {
+    return res.status(400).json({ error: "Study set has no flashcards" });
+  }
+
+  const updated = await prisma.$transaction((tx) => materializeFlashcardSet(tx, set));
+
+  console.log(`🎴 Study set ${id} → flashcard set ${updated.flashcardSetId}`);
+  res.status(set.flashcardSetId ? 200 : 201).json(formatStudySet(updated));
+});
+
+// Turn the embedded quiz into a Quiz with Question rows
+export const createStudySetQuiz = asyncHandler(async (req, res) => {
+  const id = parseStudySetId(req.params.studySetId);
+  if (!id) {
+    return res.status(400).json({ error: "Invalid Study Set ID" });
+  }
+
+  const set = await prisma.studySet.findFirst({ where: { id, userId: req.userId } });
+  if (!set) {
+    return res.status(404).json({ error: "Study set not found" });
+  }
+  if (set.quiz.length === 0) {
+    return res.status(400).json({ error: "Study set has no quiz questions" });
+  }
+
+  const updated = await prisma.$transaction((tx) => materializeQuiz(tx, set));
+
+  console.log(`📝 Study set ${id} → quiz ${updated.quizId}`);
+  res.status(set.quizId ? 200 : 201).json(formatStudySet(updated));
+});
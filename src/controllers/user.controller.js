@@ -1,11 +1,15 @@
 import prisma from "../config/prisma.js";
 import asyncHandler from "../middleware/asyncHandler.js";
+import { hiddenUserIds, friendIds, isBlockedBetween } from "../services/friend.service.js";
+import { toRatingChange } from "../services/rating.service.js";
 
-// --- Get All Users (for testing) ---
+// --- Get All Users (admins only) ---
 export const getAllUsers = asyncHandler(async (req, res) => {
   console.log("📋 Fetching all users");
 
+  const hidden = await hiddenUserIds(req.userId);
   const users = await prisma.user.findMany({
+    where: { id: { notIn: hidden }, isBot: false },
     select: {
       id: true,
       name: true,
@@ -34,6 +38,7 @@ export const searchUsers = asyncHandler(async (req, res) => {
   }
 
   const searchTerm = q.trim();
+  const hidden = await hiddenUserIds(currentUserId);
   const users = await prisma.user.findMany({
     where: {
       AND: [
@@ -46,12 +51,22 @@ export const searchUsers = asyncHandler(async (req, res) => {
         {
           id: { not: currentUserId },
         },
+        {
+          id: { notIn: hidden }, // blocked either way
+        },
+        {
+          isBot: false,
+        },
+        {
+          emailVerifiedAt: { not: null }, // unverified accounts can't be found yet
+        },
       ],
     },
     select: {
       id: true,
       name: true,
       email: true,
+      rating: true,
     },
     take: 10,
     orderBy: {
@@ -68,6 +83,97 @@ export const searchUsers = asyncHandler(async (req, res) => {
 });
 
 
+// --- Get User Rating ---
+// GET /users/:id/rating → current rating, record and recent history
+export const getUserRating = asyncHandler(async (req, res) => {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    return res.status(400).json({ error: "Invalid user ID" });
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id },
+    select: { id: true, name: true, rating: true },
+  });
+  if (!user || (id !== req.userId && (await isBlockedBetween(req.userId, id)))) {
+    console.log("❌ User not found");
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const [history, record] = await Promise.all([
+    prisma.ratingHistory.findMany({
+      where: { userId: id },
+      orderBy: { createdAt: "desc" },
+      take: 20,
+    }),
+    prisma.ratingHistory.groupBy({
+      by: ["result"],
+      where: { userId: id },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const countOf = (result) => record.find((r) => r.result === result)?._count._all ?? 0;
+
+  res.json({
+    userId: user.id,
+    name: user.name,
+    rating: user.rating,
+    gamesPlayed: countOf("win") + countOf("loss") + countOf("tie"),
+    wins: countOf("win"),
+    losses: countOf("loss"),
+    ties: countOf("tie"),
+    history: history.map(toRatingChange),
+  });
+});
+
+// --- Find Opponents Near My Rating ---
+// GET /users/near-rating?range=200&limit=10 → challengeable users, closest rating first
+export const getOpponentsNearRating = asyncHandler(async (req, res) => {
+  const currentUserId = req.userId;
+  const range = Math.min(Math.max(parseInt(req.query.range, 10) || 200, 50), 1000);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+  const me = await prisma.user.findUnique({
+    where: { id: currentUserId },
+    select: { rating: true },
+  });
+  if (!me) {
+    return res.status(404).json({ error: "User not found" });
+  }
+
+  const [hidden, friends] = await Promise.all([
+    hiddenUserIds(currentUserId),
+    friendIds(currentUserId),
+  ]);
+
+  const candidates = await prisma.user.findMany({
+    where: {
+      id: { notIn: [currentUserId, ...hidden] },
+      rating: { gte: me.rating - range, lte: me.rating + range },
+      isBot: false,
+      emailVerifiedAt: { not: null }, // unverified accounts can't be found yet
+      // Skip users who only accept challenges from friends, unless we are one
+      OR: [
+        { settings: { is: null } },
+        { settings: { is: { friendsOnlyChallenges: false } } },
+        { id: { in: friends } },
+      ],
+    },
+    select: { id: true, name: true, rating: true },
+    orderBy: { rating: "desc" },
+    take: 200,
+  });
+
+  const opponents = candidates
+    .map((u) => ({ ...u, ratingDifference: u.rating - me.rating }))
+    .sort((a, b) => Math.abs(a.ratingDifference) - Math.abs(b.ratingDifference))
+    .slice(0, limit);
+
+  console.log(`🎯 Found ${opponents.length} opponents within ±${range} of ${me.rating} for user ${currentUserId}`);
+  res.json({ rating: me.rating, range, opponents });
+});
+
 export const downloadUserData = async (req, res) => {
   try {
     // 1. Get the user ID from the authenticated request
@@ -9,10 +9,16 @@ import {
   notFoundHandler,
 } from "./middleware/errorMiddleware.js";
 import mainRouter from "./routes/index.js";
+import { attachChallengeSocket, closeChallengeSocket } from "./realtime/challengeSocket.js";
+import { startScheduler, stopScheduler } from "./jobs/scheduler.js";
+import { checkMailConfig } from "./services/mail.service.js";
 
 // Initialize Firebase Admin (imported in config/firebase.js)
 import "./config/firebase.js";
 
+// Warn loudly if sign-in codes can't be emailed
+checkMailConfig();
+
 const app = express();
 const PORT = 3000;
 
@@ -60,11 +66,21 @@ const server = app.listen(PORT, "0.0.0.0", () => {
   console.log(`${"=".repeat(50)}\n`);
 });
 
+// Real-time challenge play (WebSocket on the same port)
+attachChallengeSocket(server);
+
+// Background jobs (challenge expiry, reminders)
+startScheduler();
+
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`\n🛑 ${signal} received, shutting down...`);
+  closeChallengeSocket();
+  const schedulerStopped = stopScheduler();
   server.close(async () => {
     console.log("✅ HTTP server closed");
+    await schedulerStopped;
+    console.log("✅ Scheduler stopped");
     await prisma.$disconnect();
     console.log("✅ Database disconnected");
     process.exit(0);
@@ -0,0 +1,102 @@
+import prisma from "../config/prisma.js";
+import { PLAYABLE_STATUSES, completeChallenge } from "../services/challenge.service.js";
+import { notifyUser } from "../services/notification.service.js";
+
+// ==================== CHALLENGE JOBS ====================
+// Periodic challenge upkeep run by the scheduler. Each job returns how many
+// challenges it handled.
+
+const BATCH_SIZE = 100;
+
+const reminderLeadMs = () =>
+  (parseInt(process.env.CHALLENGE_REMINDER_MINUTES, 10) || 60) * 60 * 1000;
+
+const playerSelect = { select: { id: true, name: true } };
+
+// Pending challenges past expiresAt become "expired"; both players are told
+export async function expireStaleChallenges(now = new Date()) {
+  const stale = await prisma.challenge.findMany({
+    where: { status: "pending", expiresAt: { lte: now } },
+    include: { challenger: playerSelect, opponent: playerSelect },
+    take: BATCH_SIZE,
+  });
+
+  let expired = 0;
+  for (const challenge of stale) {
+    // The opponent may accept at the same moment; only expire if still pending
+    const claimed = await prisma.challenge.updateMany({
+      where: { id: challenge.id, status: "pending" },
+      data: { status: "expired" },
+    });
+    if (claimed.count === 0) continue;
+    expired++;
+
+    const data = { challengeId: challenge.id };
+    await notifyUser(challenge.challengerId, {
+      type: "challenge_expired",
+      title: "⌛ Challenge Expired",
+      body: `${challenge.opponent.name} didn't respond to your challenge in time.`,
+      data,
+    });
+    await notifyUser(challenge.opponentId, {
+      type: "challenge_expired",
+      title: "⌛ Challenge Expired",
+      body: `The challenge from ${challenge.challenger.name} has expired.`,
+      data,
+    });
+  }
+
+  return expired;
+}
+
+// Nudge opponents whose pending challenge expires soon (once per challenge)
+export async function remindExpiringChallenges(now = new Date()) {
+  const expiring = await prisma.challenge.findMany({
+    where: {
+      status: "pending",
+      reminderSentAt: null,
+      expiresAt: { gt: now, lte: new Date(now.getTime() + reminderLeadMs()) },
+    },
+    include: { challenger: playerSelect, opponent: playerSelect },
+    take: BATCH_SIZE,
+  });
+
+  let reminded = 0;
+  for (const challenge of expiring) {
+    const claimed = await prisma.challenge.updateMany({
+      where: { id: challenge.id, reminderSentAt: null },
+      data: { reminderSentAt: now },
+    });
+    if (claimed.count === 0) continue;
+    reminded++;
+
+    const minutesLeft = Math.max(1, Math.round((challenge.expiresAt - now) / 60000));
+    await notifyUser(challenge.opponentId, {
+      type: "challenge_expiring",
+      title: "⏰ Challenge Expiring Soon",
+      body: `${challenge.challenger.name}'s challenge expires in ${minutesLeft} min. Accept it before it's gone!`,
+      data: {
+        challengeId: challenge.id,
+        challengerName: challenge.challenger.name,
+        expiresAt: challenge.expiresAt.toISOString(),
+      },
+    }, { category: "reminder", now });
+  }
+
+  return reminded;
+}
+
+// Accepted challenges past their play deadline get a result (or expire)
+export async function finalizeOverdueChallenges(now = new Date()) {
+  const overdue = await prisma.challenge.findMany({
+    where: { status: { in: PLAYABLE_STATUSES }, playDeadline: { lte: now } },
+    select: { id: true },
+    take: BATCH_SIZE,
+  });
+
+  let finalized = 0;
+  for (const { id } of overdue) {
+    if (await completeChallenge(id)) finalized++;
+  }
+  return finalized;
+}
@@ -0,0 +1,178 @@
+import prisma from "../config/prisma.js";
+import { PLAYABLE_STATUSES } from "../services/challenge.service.js";
+import { localDate, daysBetween } from "../services/activity.service.js";
+import { notifyUser, isValidTime, parseTime, localMinutes } from "../services/notification.service.js";
+import { endOfLocalDay } from "../services/srs.service.js";
+
+// ==================== REMINDER JOBS ====================
+// Scheduled reminder pushes. Daily reminders (due flashcards, streak at risk)
+// go out once per local day, after the user's reminderTime. Challenge
+// reminders go out once per challenge. ReminderLog makes each one-off; a
+// reminder held back by quiet hours is retried on the next run.
+
+const BATCH_SIZE = 200;
+const DEFAULT_REMINDER_TIME = "18:00";
+
+const pendingChallengeDelayMs = () =>
+  (parseInt(process.env.PENDING_CHALLENGE_REMINDER_HOURS, 10) || 4) * 60 * 60 * 1000;
+
+const settingsSelect = { select: { timezone: true, reminderTime: true, remindersEnabled: true } };
+
+// Users matching `where`, in id order, a batch at a time
+async function* usersInBatches(where, select) {
+  let cursor = 0;
+  for (;;) {
+    const users = await prisma.user.findMany({
+      where: { ...where, id: { gt: cursor }, isBot: false, fcmToken: { not: null } },
+      select: { id: true, ...select },
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+    });
+    if (users.length === 0) return;
+    yield* users;
+    cursor = users[users.length - 1].id;
+  }
+}
+
+// Challenges matching `where`, in id order, a batch at a time
+async function* challengesInBatches(where, include) {
+  let cursor = 0;
+  for (;;) {
+    const challenges = await prisma.challenge.findMany({
+      where: { ...where, id: { gt: cursor } },
+      include,
+      orderBy: { id: "asc" },
+      take: BATCH_SIZE,
+    });
+    if (challenges.length === 0) return;
+    yield* challenges;
+    cursor = challenges[challenges.length - 1].id;
+  }
+}
+
+// Daily reminders wait until the user's local reminder time
+function dailyReminderDue(settings, now) {
+  if (settings?.remindersEnabled === false) return false;
+  const time = isValidTime(settings?.reminderTime) ? settings.reminderTime : DEFAULT_REMINDER_TIME;
+  return localMinutes(settings?.timezone, now) >= parseTime(time);
+}
+
+/**
+ * Send a reminder unless one of this kind was already sent for refKey.
+ * @returns {Promise<boolean>} whether it was sent
+ */
+async function sendReminderOnce(userId, kind, refKey, message, now) {
+  const claimed = await prisma.reminderLog.createMany({
+    data: [{ userId, kind, refKey }],
+    skipDuplicates: true,
+  });
+  if (claimed.count === 0) return false;
+
+  const { sent, reason } = await notifyUser(userId, message, { category: "reminder", now });
+  if (!sent && reason === "quiet_hours") {
+    await prisma.reminderLog.deleteMany({ where: { userId, kind, refKey } });
+  }
+  return sent;
+}
+
+// Users with flashcards due for review today (their local day, as in the
+// review queue)
+export async function remindDueFlashcards(now = new Date()) {
+  // Any local day ends within 26 hours; each user's own cutoff is applied below
+  const latestCutoff = new Date(now.getTime() + 26 * 60 * 60 * 1000);
+  const users = usersInBatches(
+    { flashcardSets: { some: { cards: { some: { dueAt: { lte: latestCutoff } } } } } },
+    { settings: settingsSelect }
+  );
+
+  let reminded = 0;
+  for await (const user of users) {
+    if (!dailyReminderDue(user.settings, now)) continue;
+
+    const endOfToday = endOfLocalDay(user.settings?.timezone, now);
+    const due = await prisma.flashcard.count({ where: { dueAt: { lte: endOfToday }, set: { userId: user.id } } });
+    if (due === 0) continue;
+
+    const today = localDate(user.settings?.timezone, now).toISOString().slice(0, 10);
+    const sent = await sendReminderOnce(user.id, "flashcards_due", today, {
+      type: "flashcards_due",
+      title: "🃏 Cards Ready for Review",
+      body: `You have ${due} flashcard${due === 1 ? "" : "s"} due. A quick review keeps them fresh!`,
+      data: { dueCount: due },
+    }, now);
+    if (sent) reminded++;
+  }
+  return reminded;
+}
+
+// Users with a streak who haven't studied yet today
+export async function remindStreaksAtRisk(now = new Date()) {
+  const users = usersInBatches(
+    { currentStreak: { gt: 0 } },
+    { currentStreak: true, lastActiveDate: true, streakFreezes: true, settings: settingsSelect }
+  );
+
+  let reminded = 0;
+  for await (const user of users) {
+    if (!user.lastActiveDate || !dailyReminderDue(user.settings, now)) continue;
+
+    const today = localDate(user.settings?.timezone, now);
+    const missed = daysBetween(user.lastActiveDate, today) - 1;
+    // Studied today already, or the streak is gone anyway
+    if (missed < 0 || missed > user.streakFreezes) continue;
+
+    const sent = await sendReminderOnce(user.id, "streak_at_risk", today.toISOString().slice(0, 10), {
+      type: "streak_at_risk",
+      title: "🔥 Keep Your Streak Alive",
+      body: `You're on a ${user.currentStreak}-day streak. Take a quiz or review some cards today to keep it going!`,
+      data: { currentStreak: user.currentStreak },
+    }, now);
+    if (sent) reminded++;
+  }
+  return reminded;
+}
+
+// Challenges waiting on a player for a while: invites they haven't answered
+// and accepted challenges they haven't played
+export async function remindPendingChallenges(now = new Date()) {
+  const before = new Date(now.getTime() - pendingChallengeDelayMs());
+  const playerSelect = { select: { name: true, isBot: true } };
+
+  const invites = challengesInBatches(
+    { status: "pending", createdAt: { lte: before }, expiresAt: { gt: now }, reminderSentAt: null },
+    { challenger: playerSelect }
+  );
+  const unplayed = challengesInBatches(
+    { status: { in: PLAYABLE_STATUSES }, acceptedAt: { lte: before }, playDeadline: { gt: now } },
+    { challenger: playerSelect, opponent: playerSelect, results: { select: { userId: true } } }
+  );
+
+  let reminded = 0;
+  for await (const challenge of invites) {
+    const sent = await sendReminderOnce(challenge.opponentId, "pending_challenge", `${challenge.id}:invite`, {
+      type: "pending_challenge",
+      title: "🎯 Challenge Waiting",
+      body: `${challenge.challenger.name} is waiting for your answer to their quiz battle.`,
+      data: { challengeId: challenge.id },
+    }, now);
+    if (sent) reminded++;
+  }
+
+  for await (const challenge of unplayed) {
+    const players = [
+      { id: challenge.challengerId, isBot: challenge.challenger.isBot, opponentName: challenge.opponent.name },
+      { id: challenge.opponentId, isBot: challenge.opponent.isBot, opponentName: challenge.challenger.name },
+    ];
+    for (const player of players) {
+      if (player.isBot || challenge.results.some((r) => r.userId === player.id)) continue;
+      const sent = await sendReminderOnce(player.id, "pending_challenge", `${challenge.id}:play`, {
+        type: "pending_challenge",
+        title: "⚔️ Your Move",
+        body: `Your quiz battle with ${player.opponentName} is waiting. Play it before time runs out!`,
+        data: { challengeId: challenge.id, playDeadline: challenge.playDeadline.toISOString() },
+      }, now);
+      if (sent) reminded++;
+    }
+  }
+  return reminded;
+}
@@ -0,0 +1,68 @@
+import { expireStaleChallenges, remindExpiringChallenges, finalizeOverdueChallenges } from "./challenge.jobs.js";
+import { remindDueFlashcards, remindStreaksAtRisk, remindPendingChallenges } from "./reminder.jobs.js";
+import { matchTimedOutTickets } from "../services/matchmaking.service.js";
+import { pruneSessions } from "../services/session.service.js";
+
+// ==================== BACKGROUND SCHEDULER ====================
+// Runs periodic maintenance jobs inside the API process. Each job runs at
+// most once at a time; stopScheduler() waits for running jobs to finish so
+// the database can be disconnected safely afterwards.
+//
+// SCHEDULER_ENABLED=false disables it (e.g. when running several replicas
+// and only one should run jobs).
+
+const jobs = [
+  { name: "expire-challenges", everySeconds: 60, run: expireStaleChallenges },
+  { name: "remind-challenges", everySeconds: 300, run: remindExpiringChallenges },
+  { name: "finalize-challenges", everySeconds: 300, run: finalizeOverdueChallenges },
+  { name: "matchmaking-bot-fallback", everySeconds: 10, run: matchTimedOutTickets },
+  { name: "remind-flashcards-due", everySeconds: 900, run: remindDueFlashcards },
+  { name: "remind-streaks-at-risk", everySeconds: 900, run: remindStreaksAtRisk },
+  { name: "remind-pending-challenges", everySeconds: 900, run: remindPendingChallenges },
+  { name: "prune-sessions", everySeconds: 3600, run: pruneSessions },
+];
+
+const timers = [];
+const running = new Map(); // job name -> promise of the current run
+
+async function runJob(job) {
+  if (running.has(job.name)) return; // previous run still busy
+
+  const run = (async () => {
+    try {
+      const count = await job.run();
+      if (count) console.log(`⏱️ [${job.name}] processed ${count}`);
+    } catch (error) {
+      console.error(`❌ [${job.name}] failed:`, error.message);
+    } finally {
+      running.delete(job.name);
+    }
+  })();
+
+  running.set(job.name, run);
+  await run;
+}
+
+export function startScheduler() {
+  if (process.env.SCHEDULER_ENABLED === "false") {
+    console.log("⏸️ Scheduler disabled (SCHEDULER_ENABLED=false)");
+    return;
+  }
+  if (timers.length > 0) return;
+
+  for (const job of jobs) {
+    const timer = setInterval(() => runJob(job), job.everySeconds * 1000);
+    timer.unref();
+    timers.push(timer);
+    runJob(job); // catch up on anything missed while the server was down
+  }
+
+  console.log(`⏱️ Scheduler started (${jobs.map((j) => j.name).join(", ")})`);
+}
+
+// Stop scheduling new runs and resolve once in-flight runs are done
+export async function stopScheduler() {
+  timers.forEach(clearInterval);
+  timers.length = 0;
+  await Promise.all(running.values());
+}
@@ -116,7 +116,8 @@ Return ONLY valid JSON in this exact format:
         "Third option",
         "Fourth option"
       ],
-      "correctAnswer": 2
+      "correctAnswer": 2,
+      "explanation": "One sentence explaining why the correct option is right."
     }
   ]
 }
@@ -126,7 +127,7 @@ Return ONLY valid JSON in this exact format:
 ⚠️  "correctAnswer" MUST be an INTEGER (0, 1, 2, or 3) representing the index
 ⚠️  DO NOT include markdown code blocks (\`\`\`json or \`\`\`)
 ⚠️  DO NOT include any explanatory text before or after the JSON
-⚠️  DO NOT include explanations for answers
+⚠️  Keep each "explanation" to ONE short sentence
 ⚠️  Ensure all strings are properly escaped
 ⚠️  Return ONLY the raw JSON object
 
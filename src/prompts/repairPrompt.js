@@ -0,0 +1,17 @@
+/**
+ * Prompt used to ask a model to fix its own malformed JSON output
+ */
+export function generateRepairPrompt(brokenText, errorMessage) {
+  return `Your previous response could not be used because it was not valid JSON for the requested format.
+
+ERROR:
+${errorMessage}
+
+YOUR PREVIOUS RESPONSE:
+${(brokenText || "").substring(0, 12000)}
+
+Return the SAME content as a single corrected JSON object.
+- Keep the original structure and field names
+- Fix syntax errors (missing commas, quotes, brackets, trailing text)
+- Do NOT add markdown code blocks or any text before or after the JSON`;
+}
@@ -6,6 +6,7 @@ TEXT TO ANALYZE:
 
 RETURN ONLY A JSON OBJECT WITH THIS STRUCTURE:
 {
+  "title": "A short descriptive title for this material (max 8 words).",
   "summary": "A concise, bullet-point summary of the key concepts (max 5 points).",
   "podcastScript": [
     { "speaker": "Host", "text": "Introductory sentence setting the stage." },
@@ -23,7 +24,8 @@ RETURN ONLY A JSON OBJECT WITH THIS STRUCTURE:
     {
       "questionText": "Question 1?",
       "options": ["A", "B", "C", "D"],
-      "correctAnswer": 0 // Index of correct option
+      "correctAnswer": 0, // Index of correct option
+      "explanation": "One sentence explaining the correct answer."
     }
     // ... generate 5 questions
   ]
@@ -0,0 +1,476 @@
+import { WebSocketServer } from "ws";
+import prisma from "../config/prisma.js";
+import {
+  toPlayQuestion,
+  toResultQuestions,
+  recordQuizResult,
+} from "../services/quiz.service.js";
+import {
+  PLAYABLE_STATUSES,
+  saveChallengeResult,
+  completeChallenge,
+} from "../services/challenge.service.js";
+import { toRatingChange } from "../services/rating.service.js";
+import { getBotProfile, simulateAnswer } from "../services/bot.service.js";
+import { evaluateAchievements } from "../services/achievement.service.js";
+import { verifyAuthToken } from "../services/token.service.js";
+
+// ==================== REAL-TIME CHALLENGE PLAY ====================
+// WebSocket game server for head-to-head challenges, mounted on the HTTP
+// server at /ws/challenges. Connect with ?token=<JWT>.
+//
+// Client → server:
+//   { type: "join", challengeId }
+//   { type: "answer", questionId, selectedAnswer }
+// Server → client:
+//   joined, opponent_joined, opponent_left, starting, question,
+//   answer_received, opponent_progress, question_result, game_over, error
+//
+// Both players get the same questions in lockstep. A question closes when
+// both answered or its timer runs out, then the answer is revealed.
+//
+// Against a bot the game starts as soon as the human joins; the bot answers
+// each question after a simulated delay from its difficulty profile.
+
+const WS_PATH = "/ws/challenges";
+const START_DELAY_MS = 3000;
+const REVEAL_DELAY_MS = 2500;
+
+const questionTimeMs = () =>
+  (parseInt(process.env.CHALLENGE_QUESTION_SECONDS, 10) || 20) * 1000;
+
+let wss;
+const rooms = new Map(); // challengeId -> room
+const roomsLoading = new Map(); // challengeId -> Promise<room|null> while the room is being built
+
+// ==================== HELPERS ====================
+
+function send(socket, message) {
+  if (socket && socket.readyState === socket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+}
+
+function broadcast(room, message) {
+  room.players.forEach((player) => send(player.socket, message));
+}
+
+function sendToOthers(room, userId, message) {
+  room.players.forEach((player, id) => {
+    if (id !== userId) send(player.socket, message);
+  });
+}
+
+async function authenticate(req) {
+  const url = new URL(req.url, "http://localhost");
+  const token = url.searchParams.get("token") || req.headers["authorization"]?.split(" ")[1];
+  if (!token) return null;
+  try {
+    return (await verifyAuthToken(token)).userId;
+  } catch (error) {
+    return null;
+  }
+}
+
+function scoreboard(room) {
+  return [...room.players.entries()].map(([userId, player]) => ({
+    userId,
+    name: player.name,
+    score: player.score,
+    answered: player.answers.size,
+    connected: player.isBot || Boolean(player.socket),
+  }));
+}
+
+// ==================== GAME FLOW ====================
+
+function currentQuestion(room) {
+  return room.questions[room.index];
+}
+
+function startGame(room) {
+  room.phase = "starting";
+  broadcast(room, { type: "starting", startsIn: START_DELAY_MS / 1000, questionCount: room.questions.length });
+
+  prisma.challenge
+    .update({ where: { id: room.challengeId }, data: { status: "in_progress" } })
+    .catch((error) => console.error(`❌ Failed to mark challenge ${room.challengeId} in progress:`, error.message));
+
+  room.startedAt = Date.now();
+  room.timer = setTimeout(() => askQuestion(room, 0), START_DELAY_MS);
+}
+
+function askQuestion(room, index) {
+  room.phase = "question";
+  room.index = index;
+  room.questionStartedAt = Date.now();
+  const timeLimit = questionTimeMs();
+
+  broadcast(room, {
+    type: "question",
+    index,
+    total: room.questions.length,
+    question: toPlayQuestion(currentQuestion(room)),
+    timeLimit: timeLimit / 1000,
+    deadline: room.questionStartedAt + timeLimit,
+  });
+
+  room.timer = setTimeout(() => closeQuestion(room), timeLimit);
+  scheduleBotAnswers(room, timeLimit);
+}
+
+// Bots that would take longer than the time limit don't answer
+function scheduleBotAnswers(room, timeLimit) {
+  const question = currentQuestion(room);
+  room.players.forEach((player, userId) => {
+    if (!player.isBot) return;
+    const { selectedAnswer, timeMs } = simulateAnswer(question, player.profile);
+    if (timeMs >= timeLimit) return;
+    room.botTimers.push(setTimeout(
+      () => handleAnswer(room, userId, { questionId: question.id, selectedAnswer }),
+      timeMs
+    ));
+  });
+}
+
+function clearTimers(room) {
+  clearTimeout(room.timer);
+  room.botTimers.forEach(clearTimeout);
+  room.botTimers = [];
+}
+
+function closeQuestion(room) {
+  if (room.phase !== "question") return;
+  clearTimers(room);
+  room.phase = "reveal";
+
+  const question = currentQuestion(room);
+  room.players.forEach((player) => {
+    const answer = player.answers.get(question.id);
+    send(player.socket, {
+      type: "question_result",
+      questionId: question.id,
+      correctAnswer: question.correctAnswer,
+      explanation: question.explanation,
+      yourAnswer: answer?.selectedAnswer ?? -1,
+      correct: answer?.correct ?? false,
+      scores: scoreboard(room),
+    });
+  });
+
+  const next = room.index + 1;
+  room.timer = setTimeout(
+    () => (next < room.questions.length ? askQuestion(room, next) : finishGame(room)),
+    REVEAL_DELAY_MS
+  );
+}
+
+function handleAnswer(room, userId, message) {
+  const player = room.players.get(userId);
+  const question = currentQuestion(room);
+
+  if (room.phase !== "question" || !question || message.questionId !== question.id) {
+    return send(player.socket, { type: "error", error: "This question is not open for answers" });
+  }
+  if (player.answers.has(question.id)) {
+    return send(player.socket, { type: "error", error: "Already answered" });
+  }
+
+  const selected = message.selectedAnswer;
+  if (!Number.isInteger(selected) || selected < 0 || selected >= question.options.length) {
+    return send(player.socket, { type: "error", error: "Invalid answer" });
+  }
+
+  const correct = selected === question.correctAnswer;
+  player.answers.set(question.id, {
+    selectedAnswer: selected,
+    correct,
+    timeMs: Date.now() - room.questionStartedAt,
+  });
+  if (correct) player.score++;
+
+  send(player.socket, { type: "answer_received", questionId: question.id });
+  sendToOthers(room, userId, {
+    type: "opponent_progress",
+    questionId: question.id,
+    answered: player.answers.size,
+  });
+
+  const everyoneAnswered = [...room.players.values()].every((p) => p.answers.has(question.id));
+  if (everyoneAnswered) closeQuestion(room);
+}
+
+async function finishGame(room) {
+  room.phase = "finished";
+  clearTimers(room);
+
+  const timeTaken = Math.round((Date.now() - room.startedAt) / 1000);
+  const totalQuestions = room.questions.length;
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      for (const [userId, player] of room.players) {
+        // Bots only get a ChallengeResult, no quiz history or leaderboard points
+        const quizResult = player.isBot ? null : await recordQuizResult({
+          userId,
+          quizId: room.quizId,
+          quizTitle: room.quizTitle,
+          topic: room.topic,
+          score: player.score,
+          totalQuestions,
+          percentage: totalQuestions > 0 ? (player.score / totalQuestions) * 100 : 0,
+          timeTaken,
+          questionsJson: toResultQuestions(room.questions),
+          userAnswersJson: room.questions.map((q) => player.answers.get(q.id)?.selectedAnswer ?? -1),
+        }, tx);
+
+        await saveChallengeResult({
+          challengeId: room.challengeId,
+          userId,
+          score: player.score,
+          totalQuestions,
+          timeTaken,
+          quizResultId: quizResult?.id,
+        }, tx);
+      }
+    });
+
+    for (const [userId, player] of room.players) {
+      if (!player.isBot) await evaluateAchievements(userId, "quiz");
+    }
+
+    const outcome = await completeChallenge(room.challengeId);
+
+    broadcast(room, {
+      type: "game_over",
+      challengeId: room.challengeId,
+      scoreboard: scoreboard(room),
+      winnerId: outcome?.winnerId ?? null,
+      isTie: outcome?.isTie ?? false,
+      ratingChanges: (outcome?.ratingChanges ?? []).map(toRatingChange),
+    });
+  } catch (error) {
+    console.error(`❌ Failed to save challenge ${room.challengeId} results:`, error);
+    broadcast(room, { type: "error", error: "Failed to save results" });
+  } finally {
+    rooms.delete(room.challengeId);
+    room.players.forEach((player) => player.socket?.close(1000, "Game over"));
+  }
+}
+
+// ==================== CONNECTION HANDLING ====================
+
+async function createRoom(challenge) {
+  const quiz = await prisma.quiz.findUnique({
+    where: { id: challenge.quizId },
+    include: { questions: { orderBy: { questionNumber: "asc" } } },
+  });
+  if (!quiz || quiz.questions.length === 0) return null;
+
+  const bots = await prisma.user.findMany({
+    where: { id: { in: [challenge.challengerId, challenge.opponentId] }, isBot: true },
+    select: { id: true, name: true, botLevel: true },
+  });
+  const players = new Map(bots.map((bot) => [bot.id, {
+    socket: null,
+    isBot: true,
+    profile: getBotProfile(bot.botLevel),
+    name: bot.name,
+    score: 0,
+    answers: new Map(),
+  }]));
+
+  return {
+    challengeId: challenge.id,
+    quizId: quiz.id,
+    quizTitle: quiz.title,
+    topic: quiz.topic,
+    questions: quiz.questions,
+    participants: [challenge.challengerId, challenge.opponentId],
+    players,
+    phase: "waiting",
+    index: -1,
+    timer: null,
+    botTimers: [],
+  };
+}
+
+async function handleJoin(socket, userId, message) {
+  const challengeId = parseInt(message.challengeId, 10);
+  if (isNaN(challengeId)) {
+    return send(socket, { type: "error", error: "Invalid challenge ID" });
+  }
+
+  let room = rooms.get(challengeId);
+
+  if (!room) {
+    const challenge = await prisma.challenge.findFirst({
+      where: {
+        id: challengeId,
+        OR: [{ challengerId: userId }, { opponentId: userId }],
+      },
+      include: { results: { select: { userId: true } } },
+    });
+    if (!challenge) {
+      return send(socket, { type: "error", error: "Challenge not found" });
+    }
+    // "in_progress" without a room means the server restarted mid-game
+    if (!PLAYABLE_STATUSES.includes(challenge.status)) {
+      return send(socket, { type: "error", error: `Challenge is ${challenge.status}` });
+    }
+    if (challenge.results.length > 0) {
+      return send(socket, { type: "error", error: "Challenge is already being played asynchronously" });
+    }
+    if (!challenge.quizId) {
+      return send(socket, { type: "error", error: "Challenge has no quiz to play" });
+    }
+
+    // Another join may have created the room while we were loading, or be
+    // building it right now: both players must end up in the same room
+    room = rooms.get(challengeId);
+    if (!room) {
+      let loading = roomsLoading.get(challengeId);
+      if (!loading) {
+        loading = createRoom(challenge)
+          .then((created) => {
+            if (created) rooms.set(challengeId, created);
+            return created;
+          })
+          .finally(() => roomsLoading.delete(challengeId));
+        roomsLoading.set(challengeId, loading);
+      }
+      room = await loading;
+    }
+    if (!room) {
+      return send(socket, { type: "error", error: "Challenge quiz not found" });
+    }
+  }
+
+  if (!room.participants.includes(userId)) {
+    return send(socket, { type: "error", error: "Challenge not found" });
+  }
+
+  const existing = room.players.get(userId);
+  if (existing) {
+    // Reconnect: replace the old socket, keep score and answers
+    if (existing.socket && existing.socket !== socket) existing.socket.close(4000, "Replaced by new connection");
+    existing.socket = socket;
+  } else {
+    if (room.phase !== "waiting") {
+      return send(socket, { type: "error", error: "Game already started" });
+    }
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { name: true } });
+    room.players.set(userId, { socket, name: user?.name, score: 0, answers: new Map() });
+  }
+
+  socket.challengeId = challengeId;
+
+  send(socket, {
+    type: "joined",
+    challengeId,
+    phase: room.phase,
+    questionCount: room.questions.length,
+    players: scoreboard(room),
+  });
+  sendToOthers(room, userId, { type: "opponent_joined", userId });
+
+  // Late joiner / reconnect during a question gets it immediately
+  if (room.phase === "question") {
+    const question = currentQuestion(room);
+    send(socket, {
+      type: "question",
+      index: room.index,
+      total: room.questions.length,
+      question: toPlayQuestion(question),
+      timeLimit: questionTimeMs() / 1000,
+      deadline: room.questionStartedAt + questionTimeMs(),
+      alreadyAnswered: room.players.get(userId).answers.has(question.id),
+    });
+  }
+
+  if (room.phase === "waiting" && room.players.size === room.participants.length) {
+    startGame(room);
+  }
+}
+
+function handleClose(socket, userId) {
+  const room = rooms.get(socket.challengeId);
+  if (!room) return;
+
+  const player = room.players.get(userId);
+  if (!player || player.socket !== socket) return;
+
+  if (room.phase === "waiting") {
+    room.players.delete(userId);
+    if ([...room.players.values()].every((p) => p.isBot)) rooms.delete(room.challengeId);
+  } else {
+    // Game keeps running on timers; the player can reconnect
+    player.socket = null;
+  }
+  sendToOthers(room, userId, { type: "opponent_left", userId });
+}
+
+// ==================== PUBLIC API ====================
+
+export function attachChallengeSocket(server) {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", async (req, socket, head) => {
+    if (new URL(req.url, "http://localhost").pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    const userId = await authenticate(req);
+    if (!userId) {
+      socket.write("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, userId));
+  });
+
+  wss.on("connection", (socket, userId) => {
+    console.log(`🔌 WebSocket connected: user ${userId}`);
+
+    socket.on("message", async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return send(socket, { type: "error", error: "Invalid JSON" });
+      }
+
+      try {
+        if (message.type === "join") {
+          await handleJoin(socket, userId, message);
+        } else if (message.type === "answer") {
+          const room = rooms.get(socket.challengeId);
+          if (!room) return send(socket, { type: "error", error: "Join a challenge first" });
+          handleAnswer(room, userId, message);
+        } else {
+          send(socket, { type: "error", error: `Unknown message type "${message.type}"` });
+        }
+      } catch (error) {
+        console.error("❌ WebSocket message error:", error);
+        send(socket, { type: "error", error: "Something went wrong!" });
+      }
+    });
+
+    socket.on("close", () => handleClose(socket, userId));
+  });
+
+  console.log(`🎮 Challenge WebSocket server listening on ${WS_PATH}`);
+  return wss;
+}
+
+export function closeChallengeSocket() {
+  if (!wss) return;
+  rooms.forEach(clearTimers);
+  rooms.clear();
+  roomsLoading.clear();
+  wss.clients.forEach((socket) => socket.close(1001, "Server shutting down"));
+  wss.close();
+  wss = null;
+}
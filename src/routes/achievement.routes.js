@@ -0,0 +1,16 @@
+import express from "express";
+import {
+  getMyAchievements,
+  getUserAchievementsById,
+} from "../controllers/achievement.controller.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All achievement routes require authentication
+router.use(authenticateToken);
+
+router.get("/", getMyAchievements);                      // → /achievements
+router.get("/users/:userId", getUserAchievementsById);   // → /achievements/users/:userId
+
+export default router;
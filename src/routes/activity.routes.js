@@ -0,0 +1,13 @@
+import express from "express";
+import { getStreak, getHistory } from "../controllers/activity.controller.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All activity routes require authentication
+router.use(authenticateToken);
+
+router.get("/streak", getStreak);     // → /activity/streak
+router.get("/history", getHistory);   // → /activity/history?days=30
+
+export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  listUsers,
+  suspendUserAccount,
+  unsuspendUserAccount,
+  setUserRole,
+  getAiUsageStats,
+  listReports,
+  removeReport,
+  dismissReport,
+} from "../controllers/admin.controller.js";
+import { authenticateToken, authorize } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// Staff only: moderators and admins, some routes admins only
+router.use(authenticateToken, authorize("moderator", "admin"));
+
+const adminOnly = authorize("admin");
+
+router.get("/users", listUsers);                                        // → /admin/users
+router.post("/users/:userId/suspend", suspendUserAccount);              // → /admin/users/:id/suspend
+router.post("/users/:userId/unsuspend", unsuspendUserAccount);          // → /admin/users/:id/unsuspend
+router.put("/users/:userId/role", adminOnly, setUserRole);              // → /admin/users/:id/role
+router.get("/ai-usage", adminOnly, getAiUsageStats);                    // → /admin/ai-usage
+router.get("/reports", listReports);                                    // → /admin/reports
+router.post("/reports/:reportId/remove", removeReport);                 // → /admin/reports/:id/remove
+router.post("/reports/:reportId/dismiss", dismissReport);               // → /admin/reports/:id/dismiss
+
+export default router;
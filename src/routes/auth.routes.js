@@ -4,8 +4,17 @@ import {
   signin,
   googleAuth,
   saveFcmToken,
+  forgotPassword,
   resetPassword,
   verifyToken,
+  passwordPolicy,
+  refreshAccessToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  verifyEmail,
+  resendVerificationEmail,
 } from "../controllers/auth.controller.js";
 import { authenticateToken } from "../middleware/authMiddleware.js";
 
@@ -17,7 +26,10 @@ const router = express.Router();
 router.post("/signup", signup);
 router.post("/signin", signin);
 router.post("/auth/google-auth", googleAuth);
+router.post("/forgot-password", forgotPassword);
 router.post("/reset-password", resetPassword);
+router.get("/auth/password-policy", passwordPolicy);
+router.post("/auth/refresh", refreshAccessToken);
 
 // ==================== PROTECTED ROUTES ====================
 // Require valid JWT token
@@ -28,4 +40,14 @@ router.get("/auth/verify", authenticateToken, verifyToken);
 // Save FCM token for push notifications
 router.post("/auth/save-token", authenticateToken, saveFcmToken);
 
+// Email verification
+router.post("/auth/verify-email", authenticateToken, verifyEmail);
+router.post("/auth/verify-email/resend", authenticateToken, resendVerificationEmail);
+
+// Sessions (signed-in devices)
+router.post("/auth/logout", authenticateToken, logout);
+router.get("/auth/sessions", authenticateToken, getSessions);
+router.delete("/auth/sessions", authenticateToken, revokeAllSessions);
+router.delete("/auth/sessions/:sessionId", authenticateToken, revokeSession);
+
 export default router;
@@ -1,13 +1,15 @@
 import express from "express";
 import {
   sendChallenge,
+  challengeBot,
   getChallengeStatus,
   acceptChallenge,
   rejectChallenge,
   cancelChallenge,
   getMyChallenges,
+  submitChallengeResult,
 } from "../controllers/challenge.controller.js";
-import { authenticateToken } from "../middleware/authMiddleware.js";
+import { authenticateToken, requireVerifiedEmail } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
@@ -15,11 +17,13 @@ const router = express.Router();
 router.use(authenticateToken);
 
 // ✅ Challenge routes (WITHOUT /challenges prefix)
-router.post("/send", sendChallenge);                    // → /api/challenges/send
+router.post("/send", requireVerifiedEmail, sendChallenge); // → /api/challenges/send
+router.post("/bot", challengeBot);                      // → /api/challenges/bot
 router.get("/my", getMyChallenges);                     // → /api/challenges/my
 router.get("/:challengeId", getChallengeStatus);        // → /api/challenges/:id
 router.post("/:challengeId/accept", acceptChallenge);   // → /api/challenges/:id/accept
 router.post("/:challengeId/reject", rejectChallenge);   // → /api/challenges/:id/reject
 router.post("/:challengeId/cancel", cancelChallenge);   // → /api/challenges/:id/cancel
+router.post("/:challengeId/result", submitChallengeResult); // → /api/challenges/:id/result
 
 export default router;
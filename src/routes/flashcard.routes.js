@@ -5,7 +5,8 @@ import {
   getMyFlashcardSets,
   getFlashcardSet,
   deleteFlashcardSet,
-  updateCardProgress
+  updateCardProgress,
+  getDueCards
 } from "../controllers/flashcard.controller.js";
 
 const router = express.Router();
@@ -25,7 +26,10 @@ router.get("/sets/:setId", getFlashcardSet);
 // Delete flashcard set
 router.delete("/sets/:setId", deleteFlashcardSet);
 
-// Update card study progress
+// Cards due for review today (across all sets)
+router.get("/due", getDueCards);
+
+// Update card study progress (graded recall)
 router.patch("/cards/:cardId/progress", updateCardProgress);
 
 export default router;
@@ -0,0 +1,30 @@
+import express from "express";
+import {
+  getFriends,
+  getFriendRequests,
+  sendFriendRequest,
+  acceptFriendRequest,
+  declineFriendRequest,
+  removeFriend,
+  blockUser,
+  unblockUser,
+  getBlockedUsers,
+} from "../controllers/friend.controller.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All friend routes require authentication
+router.use(authenticateToken);
+
+router.get("/", getFriends);                                      // → /friends
+router.get("/requests", getFriendRequests);                       // → /friends/requests
+router.post("/requests", sendFriendRequest);                      // → /friends/requests
+router.post("/requests/:requestId/accept", acceptFriendRequest);  // → /friends/requests/:id/accept
+router.post("/requests/:requestId/decline", declineFriendRequest); // → /friends/requests/:id/decline
+router.get("/blocked", getBlockedUsers);                          // → /friends/blocked
+router.post("/:userId/block", blockUser);                         // → /friends/:userId/block
+router.delete("/:userId/block", unblockUser);                     // → /friends/:userId/block
+router.delete("/:userId", removeFriend);                          // → /friends/:userId
+
+export default router;
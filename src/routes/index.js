@@ -6,6 +6,14 @@ import quizRoutes from './quiz.routes.js';
 import settingsRoutes from './settings.routes.js';
 import flashcardRoutes from './flashcard.routes.js';
 import studyRoutes from './study.routes.js';
+import friendRoutes from './friend.routes.js';
+import leaderboardRoutes from './leaderboard.routes.js';
+import matchmakingRoutes from './matchmaking.routes.js';
+import achievementRoutes from './achievement.routes.js';
+import activityRoutes from './activity.routes.js';
+import notificationRoutes from './notification.routes.js';
+import reportRoutes from './report.routes.js';
+import adminRoutes from './admin.routes.js';
 
 const router = express.Router();
 
@@ -23,6 +31,14 @@ router.get("/", (req, res) => {
       flashcards: "/api/flashcards/*",
       settings: "/api/settings/*",
       study: "/api/study/*",
+      friends: "/api/friends/*",
+      leaderboard: "/api/leaderboard/*",
+      matchmaking: "/api/matchmaking/*",
+      achievements: "/api/achievements/*",
+      activity: "/api/activity/*",
+      notifications: "/api/notifications/*",
+      reports: "/api/reports",
+      admin: "/api/admin/*",
     },
   });
 });
@@ -35,6 +51,14 @@ router.use("/quiz", quizRoutes);
 router.use("/flashcards", flashcardRoutes);
 router.use("/", settingsRoutes); 
 router.use("/study", studyRoutes); 
+router.use("/friends", friendRoutes);
+router.use("/leaderboard", leaderboardRoutes);
+router.use("/matchmaking", matchmakingRoutes);
+router.use("/achievements", achievementRoutes);
+router.use("/activity", activityRoutes);
+router.use("/notifications", notificationRoutes);
+router.use("/reports", reportRoutes);
+router.use("/admin", adminRoutes);
 
 export default router;
 
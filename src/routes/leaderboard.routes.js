@@ -0,0 +1,16 @@
+import express from "express";
+import {
+  getGlobalLeaderboard,
+  getFriendsLeaderboard,
+} from "../controllers/leaderboard.controller.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All leaderboard routes require authentication
+router.use(authenticateToken);
+
+router.get("/", getGlobalLeaderboard);          // → /leaderboard
+router.get("/friends", getFriendsLeaderboard);  // → /leaderboard/friends
+
+export default router;
@@ -0,0 +1,18 @@
+import express from "express";
+import {
+  joinMatchmaking,
+  getMatchmakingTicket,
+  leaveMatchmaking,
+} from "../controllers/matchmaking.controller.js";
+import { authenticateToken, requireVerifiedEmail } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All matchmaking routes require authentication
+router.use(authenticateToken);
+
+router.post("/queue", requireVerifiedEmail, joinMatchmaking); // → /matchmaking/queue
+router.get("/queue/:ticketId", getMatchmakingTicket);   // → /matchmaking/queue/:id
+router.delete("/queue/:ticketId", leaveMatchmaking);    // → /matchmaking/queue/:id
+
+export default router;
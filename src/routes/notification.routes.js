@@ -0,0 +1,20 @@
+import express from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../controllers/notification.controller.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(authenticateToken);
+
+router.get("/", getNotifications);                               // → /notifications
+router.get("/unread-count", getUnreadCount);                     // → /notifications/unread-count
+router.post("/read-all", markAllNotificationsRead);              // → /notifications/read-all
+router.post("/:notificationId/read", markNotificationRead);      // → /notifications/:id/read
+
+export default router;
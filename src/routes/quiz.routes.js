@@ -9,6 +9,13 @@ import {
   getMyQuizResults,
   saveQuizResult // Ensure this is imported
 } from "../controllers/quiz.controller.js";
+import {
+  startAttempt,
+  getAttempt,
+  submitAnswers,
+  finishAttempt,
+  reviewAttempt,
+} from "../controllers/quizAttempt.controller.js";
 import { authenticateToken } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -25,12 +32,19 @@ router.get("/count/total", getQuizCount);
 router.post("/count/reset", resetQuizCount);
 
 // --- Results & History ---
-// FIX: Map POST to saveQuizResult, not getMyQuizResults
-router.post("/result", saveQuizResult); 
+// Retired: answers 410 Gone, results come from finished attempts
+router.post("/result", saveQuizResult);
 
 // FIX: Specific route BEFORE dynamic ID route
 router.get("/results", getMyQuizResults);
 
+// --- Attempts (server-side scoring) ---
+router.get("/attempts/:attemptId", getAttempt);
+router.post("/attempts/:attemptId/answers", submitAnswers);
+router.post("/attempts/:attemptId/finish", finishAttempt);
+router.get("/attempts/:attemptId/review", reviewAttempt);
+router.post("/:quizId/attempts", startAttempt);
+
 // --- Dynamic ID Route (Must be last) ---
 router.get("/:quizId", getQuiz);
 router.delete("/:quizId", deleteQuiz);
@@ -0,0 +1,12 @@
+import express from "express";
+import { createReport } from "../controllers/report.controller.js";
+import { authenticateToken } from "../middleware/authMiddleware.js";
+
+const router = express.Router();
+
+// All report routes require authentication
+router.use(authenticateToken);
+
+router.post("/", createReport);                                  // → /reports
+
+export default router;
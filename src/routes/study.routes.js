@@ -1,5 +1,12 @@
 import express from "express";
-import { generateStudySet } from "../controllers/study.controller.js";
+import {
+  generateStudySet,
+  getMyStudySets,
+  getStudySet,
+  deleteStudySet,
+  createStudySetFlashcards,
+  createStudySetQuiz,
+} from "../controllers/study.controller.js";
 import { authenticateToken } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
@@ -8,4 +15,13 @@ router.use(authenticateToken);
 
 router.post("/generate", generateStudySet);
 
+// Saved study sets
+router.get("/", getMyStudySets);
+router.get("/:studySetId", getStudySet);
+router.delete("/:studySetId", deleteStudySet);
+
+// Materialize embedded content into real flashcard sets / quizzes
+router.post("/:studySetId/flashcard-set", createStudySetFlashcards);
+router.post("/:studySetId/quiz", createStudySetQuiz);
+
 export default router;
@@ -2,16 +2,20 @@ import express from "express";
 import {
   getAllUsers,
   searchUsers,
-  downloadUserData
+  downloadUserData,
+  getUserRating,
+  getOpponentsNearRating,
 } from "../controllers/user.controller.js";
-import { authenticateToken } from "../middleware/authMiddleware.js";
+import { authenticateToken, authorize } from "../middleware/authMiddleware.js";
 
 const router = express.Router();
 
 // All user routes are protected
 router.use(authenticateToken);
 
-router.get("/users", getAllUsers);
+router.get("/users", authorize("admin"), getAllUsers);
 router.get("/search-users", searchUsers);
+router.get("/users/near-rating", getOpponentsNearRating);
+router.get("/users/:id/rating", getUserRating);
 router.get("/export-data", downloadUserData);
 export default router;
\ No newline at end of file
@@ -0,0 +1,245 @@
+// ==================== AI OUTPUT SCHEMAS ====================
+// Declarative descriptions of every JSON shape we ask a model for, plus a
+// small validator that coerces what it safely can (numeric strings, stray
+// whitespace, duplicate options) and rejects what it cannot. Every repair
+// and rejection is reported as an issue so callers can surface it instead
+// of silently "fixing" an answer key.
+//
+// Schema nodes:
+//   { type: "string", required, minLength, maxLength, joinArray }
+//   { type: "array", items, required, length, minItems, maxItems, unique, dropInvalid, default }
+//   { type: "object", fields, required, refine(value, raw, report) }
+// Strings are always trimmed. `dropInvalid` drops bad items from an array
+// (reporting each one) instead of failing the whole array.
+
+// ==================== SHAPES ====================
+
+const LETTER_INDEX = { a: 0, b: 1, c: 2, d: 3 };
+
+const normalize = (text) => String(text).trim().toLowerCase();
+
+// Resolves correctAnswer against the raw options (index, numeric string,
+// letter or option text), then maps it onto the de-duplicated options.
+function refineCorrectAnswer(value, raw, report) {
+  const rawOptions = Array.isArray(raw.options) ? raw.options.map((o) => String(o).trim()) : [];
+  const answer = raw.correctAnswer;
+  let answerText;
+
+  if (Number.isInteger(answer)) {
+    answerText = rawOptions[answer];
+  } else if (typeof answer === "string" && /^\s*\d+\s*$/.test(answer)) {
+    answerText = rawOptions[parseInt(answer, 10)];
+    report("correctAnswer", `converted string index "${answer}" to a number`, "repaired");
+  } else if (typeof answer === "string" && LETTER_INDEX[normalize(answer)] !== undefined) {
+    answerText = rawOptions[LETTER_INDEX[normalize(answer)]];
+    report("correctAnswer", `converted option letter "${answer}" to an index`, "repaired");
+  } else if (typeof answer === "string") {
+    answerText = rawOptions.find((o) => normalize(o) === normalize(answer));
+    if (answerText !== undefined) {
+      report("correctAnswer", "converted answer text to an index", "repaired");
+    }
+  }
+
+  if (answerText === undefined) {
+    throw new Error(`correctAnswer ${JSON.stringify(answer)} does not match any option`);
+  }
+
+  const index = value.options.findIndex((o) => normalize(o) === normalize(answerText));
+  if (index === -1) {
+    throw new Error("correctAnswer does not match any option");
+  }
+  if (Number.isInteger(answer) && index !== answer) {
+    report("correctAnswer", `re-indexed from ${answer} to ${index} after removing duplicate options`, "repaired");
+  }
+
+  return { ...value, correctAnswer: index };
+}
+
+export const quizQuestionSchema = {
+  type: "object",
+  fields: {
+    questionText: { type: "string", required: true, minLength: 3 },
+    options: {
+      type: "array",
+      required: true,
+      unique: true,
+      length: 4,
+      items: { type: "string", required: true, minLength: 1 },
+    },
+    explanation: { type: "string", maxLength: 500 },
+  },
+  refine: refineCorrectAnswer,
+};
+
+export const flashcardSchema = {
+  type: "object",
+  fields: {
+    front: { type: "string", required: true, minLength: 1 },
+    back: { type: "string", required: true, minLength: 1 },
+  },
+};
+
+export const podcastLineSchema = {
+  type: "object",
+  fields: {
+    speaker: { type: "string", required: true, minLength: 1 },
+    text: { type: "string", required: true, minLength: 1 },
+  },
+};
+
+export const studySetSchema = {
+  type: "object",
+  fields: {
+    title: { type: "string", maxLength: 120 },
+    summary: { type: "string", required: true, minLength: 1, joinArray: "\n" },
+    podcastScript: { type: "array", items: podcastLineSchema, dropInvalid: true, default: [] },
+    flashcards: { type: "array", items: flashcardSchema, dropInvalid: true, default: [] },
+    quiz: { type: "array", items: quizQuestionSchema, dropInvalid: true, default: [] },
+  },
+};
+
+// ==================== VALIDATOR ====================
+
+class SchemaError extends Error {}
+
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function check(schema, raw, path, issues) {
+  const report = (subPath, message, action) =>
+    issues.push({ path: subPath ? joinPath(path, subPath) : path, message, action });
+
+  if (raw === undefined || raw === null) {
+    if (schema.default !== undefined) {
+      if (schema.required) report(null, "missing, using default", "repaired");
+      return structuredClone(schema.default);
+    }
+    if (schema.required) throw new SchemaError(`${path || "value"} is required`);
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case "string": {
+      let value = raw;
+      if (Array.isArray(raw) && schema.joinArray) {
+        value = raw.map(String).join(schema.joinArray);
+        report(null, "joined array into a string", "repaired");
+      } else if (typeof raw === "number") {
+        value = String(raw);
+      } else if (typeof raw !== "string") {
+        throw new SchemaError(`${path} must be a string`);
+      }
+      value = value.trim();
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        if (!schema.required && value.length === 0) return undefined;
+        throw new SchemaError(`${path} is too short`);
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        value = value.substring(0, schema.maxLength);
+        report(null, `truncated to ${schema.maxLength} characters`, "repaired");
+      }
+      return value;
+    }
+
+    case "array": {
+      if (!Array.isArray(raw)) throw new SchemaError(`${path} must be an array`);
+
+      let items = [];
+      raw.forEach((item, i) => {
+        const itemPath = joinPath(path, i);
+        const issueCount = issues.length;
+        try {
+          items.push(check({ ...schema.items, required: true }, item, itemPath, issues));
+        } catch (error) {
+          if (!(error instanceof SchemaError) || !schema.dropInvalid) throw error;
+          // Repairs inside a rejected item are noise, keep only the rejection
+          issues.length = issueCount;
+          issues.push({ path: itemPath, message: error.message, action: "rejected" });
+        }
+      });
+
+      if (schema.unique) {
+        const seen = new Set();
+        items = items.filter((item, i) => {
+          const key = typeof item === "string" ? normalize(item) : JSON.stringify(item);
+          if (seen.has(key)) {
+            report(i, `removed duplicate ${JSON.stringify(item)}`, "repaired");
+            return false;
+          }
+          seen.add(key);
+          return true;
+        });
+      }
+
+      if (schema.length !== undefined && items.length !== schema.length) {
+        throw new SchemaError(`${path} must contain exactly ${schema.length} distinct items (got ${items.length})`);
+      }
+      if (schema.minItems !== undefined && items.length < schema.minItems) {
+        throw new SchemaError(`${path} must contain at least ${schema.minItems} items`);
+      }
+      if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+        report(null, `kept the first ${schema.maxItems} of ${items.length} items`, "repaired");
+        items = items.slice(0, schema.maxItems);
+      }
+      return items;
+    }
+
+    case "object": {
+      if (typeof raw !== "object" || Array.isArray(raw)) {
+        throw new SchemaError(`${path || "value"} must be an object`);
+      }
+
+      let value = {};
+      for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+        const fieldValue = check(fieldSchema, raw[key], joinPath(path, key), issues);
+        if (fieldValue !== undefined) value[key] = fieldValue;
+      }
+
+      if (schema.refine) {
+        try {
+          value = schema.refine(value, raw, report);
+        } catch (error) {
+          throw new SchemaError(`${path || "value"}: ${error.message}`);
+        }
+      }
+      return value;
+    }
+
+    default:
+      throw new Error(`Unknown schema type "${schema.type}"`);
+  }
+}
+
+/**
+ * Validate a single document.
+ * @returns {{ value: any, issues: object[] }}
+ * @throws {Error} when the document itself is unusable
+ */
+export function validateDocument(schema, raw, path = "") {
+  const issues = [];
+  const value = check(schema, raw, path, issues);
+  return { value, issues };
+}
+
+/**
+ * Validate a list of items, dropping (and reporting) the invalid ones.
+ * @returns {{ items: any[], issues: object[] }}
+ */
+export function validateItems(itemSchema, list, path = "items") {
+  const { value, issues } = validateDocument({ type: "array", items: itemSchema, required: true, dropInvalid: true }, list, path);
+  return { items: value, issues };
+}
+
+/**
+ * Summary for API responses: counts plus the individual issues.
+ */
+export function summarizeValidation(acceptedCount, issues) {
+  return {
+    accepted: acceptedCount,
+    rejected: issues.filter((i) => i.action === "rejected").length,
+    repaired: issues.filter((i) => i.action === "repaired").length,
+    issues,
+  };
+}
@@ -0,0 +1,140 @@
+import prisma from "../config/prisma.js";
+import { notifyUser } from "./notification.service.js";
+
+// ==================== ACHIEVEMENT SERVICE ====================
+// Rule-driven badges. Each rule reads one metric of the user's history and is
+// earned once the metric reaches its threshold. Rules are re-evaluated after
+// the events that can move their metric:
+//   "quiz"      - a QuizResult was saved
+//   "challenge" - a challenge was completed
+//   "flashcard" - a flashcard was reviewed
+// Earned badges are stored in UserAchievement and announced over FCM.
+
+export const ACHIEVEMENTS = [
+  { key: "first_quiz", name: "First Steps", description: "Complete your first quiz", icon: "🎓", metric: "quizzesCompleted", threshold: 1 },
+  { key: "quizzes_50", name: "Quiz Enthusiast", description: "Complete 50 quizzes", icon: "📚", metric: "quizzesCompleted", threshold: 50 },
+  { key: "first_perfect", name: "Flawless", description: "Get your first perfect score", icon: "💯", metric: "perfectScores", threshold: 1 },
+  { key: "perfect_10", name: "Perfectionist", description: "Get 10 perfect scores", icon: "🌟", metric: "perfectScores", threshold: 10 },
+  { key: "points_1000", name: "Point Collector", description: "Earn 1000 points", icon: "🪙", metric: "totalPoints", threshold: 1000 },
+  { key: "first_challenge_win", name: "First Victory", description: "Win your first challenge", icon: "⚔️", metric: "challengesWon", threshold: 1 },
+  { key: "challenges_won_10", name: "Champion", description: "Win 10 challenges", icon: "🏆", metric: "challengesWon", threshold: 10 },
+  { key: "streak_7", name: "On a Roll", description: "Study 7 days in a row", icon: "🔥", metric: "streakDays", threshold: 7 },
+  { key: "streak_30", name: "Unstoppable", description: "Study 30 days in a row", icon: "🌋", metric: "streakDays", threshold: 30 },
+  { key: "flashcards_100", name: "Card Shark", description: "Review 100 flashcards", icon: "🃏", metric: "flashcardsReviewed", threshold: 100 },
+  { key: "flashcards_500", name: "Memory Master", description: "Review 500 flashcards", icon: "🧠", metric: "flashcardsReviewed", threshold: 500 },
+];
+
+// Which metrics each event can change
+const EVENT_METRICS = {
+  quiz: ["quizzesCompleted", "perfectScores", "totalPoints", "streakDays"],
+  challenge: ["challengesWon"],
+  flashcard: ["flashcardsReviewed", "streakDays"],
+};
+
+const METRICS = {
+  // Quiz metrics count ranked results only, as the leaderboards do (see quiz.service)
+  quizzesCompleted: (userId) => prisma.quizResult.count({ where: { userId, ranked: true } }),
+  perfectScores: (userId) => prisma.quizResult.count({ where: { userId, ranked: true, percentage: 100 } }),
+  totalPoints: async (userId) => {
+    const { _sum } = await prisma.quizResult.aggregate({ where: { userId, ranked: true }, _sum: { score: true } });
+    return _sum.score || 0;
+  },
+  // Wins against bots don't count, as for ratings
+  challengesWon: (userId) =>
+    prisma.challenge.count({
+      where: { winnerId: userId, status: "completed", challenger: { isBot: false }, opponent: { isBot: false } },
+    }),
+  // Kept up to date by the activity service on every quiz and card review
+  streakDays: async (userId) => {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { currentStreak: true } });
+    return user?.currentStreak || 0;
+  },
+  flashcardsReviewed: async (userId) => {
+    const { _sum } = await prisma.flashcard.aggregate({ where: { set: { userId } }, _sum: { timesReviewed: true } });
+    return _sum.timesReviewed || 0;
+  },
+};
+
+export function formatAchievement(rule, earned) {
+  return {
+    key: rule.key,
+    name: rule.name,
+    description: rule.description,
+    icon: rule.icon,
+    earned: Boolean(earned),
+    earnedAt: earned?.earnedAt ?? null,
+  };
+}
+
+async function announceAchievements(userId, rules) {
+  for (const rule of rules) {
+    await notifyUser(userId, {
+      type: "achievement_earned",
+      title: `${rule.icon} Achievement Unlocked!`,
+      body: `${rule.name}: ${rule.description}`,
+      data: { achievementKey: rule.key },
+    });
+  }
+}
+
+/**
+ * Award every achievement the event may have unlocked. Call after the event's
+ * data has been committed. Never throws: failures are logged so they can't
+ * break the request that triggered them.
+ * @param {number} userId
+ * @param {"quiz"|"challenge"|"flashcard"} event
+ * @returns {Promise<object[]>} the newly earned achievements
+ */
+export async function evaluateAchievements(userId, event) {
+  try {
+    const earned = await prisma.userAchievement.findMany({
+      where: { userId },
+      select: { achievementKey: true },
+    });
+    const earnedKeys = new Set(earned.map((a) => a.achievementKey));
+
+    const candidates = ACHIEVEMENTS.filter(
+      (rule) => EVENT_METRICS[event]?.includes(rule.metric) && !earnedKeys.has(rule.key)
+    );
+    if (candidates.length === 0) return [];
+
+    const values = {};
+    for (const metric of new Set(candidates.map((rule) => rule.metric))) {
+      values[metric] = await METRICS[metric](userId);
+    }
+
+    const unlocked = [];
+    for (const rule of candidates.filter((r) => values[r.metric] >= r.threshold)) {
+      // Two concurrent evaluations may race for the same badge; the unique
+      // index lets only one of them create it
+      const created = await prisma.userAchievement.createMany({
+        data: [{ userId, achievementKey: rule.key }],
+        skipDuplicates: true,
+      });
+      if (created.count === 0) continue;
+
+      const row = await prisma.userAchievement.findUnique({
+        where: { userId_achievementKey: { userId, achievementKey: rule.key } },
+      });
+      unlocked.push({ rule, row });
+    }
+
+    if (unlocked.length > 0) {
+      console.log(`🏅 User ${userId} earned: ${unlocked.map((u) => u.rule.key).join(", ")}`);
+      await announceAchievements(userId, unlocked.map((u) => u.rule));
+    }
+    return unlocked.map(({ rule, row }) => formatAchievement(rule, row));
+  } catch (error) {
+    console.error(`❌ Failed to evaluate achievements for user ${userId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * All achievements, with whether and when the user earned each.
+ */
+export async function getUserAchievements(userId) {
+  const earned = await prisma.userAchievement.findMany({ where: { userId } });
+  const byKey = new Map(earned.map((a) => [a.achievementKey, a]));
+  return ACHIEVEMENTS.map((rule) => formatAchievement(rule, byKey.get(rule.key)));
+}
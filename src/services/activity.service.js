@@ -0,0 +1,255 @@
+import prisma from "../config/prisma.js";
+
+// ==================== ACTIVITY SERVICE ====================
+// Daily study activity, streaks and daily goals. Days follow the user's
+// timezone (UserSettings.timezone) and are stored as the UTC midnight of the
+// local date, so "2026-10-19" in Tokyo and in New York is the same value.
+//
+// Any quiz or flashcard review counts as a study day. A streak survives
+// missed days if the user has enough streak freezes: one is earned every
+// FREEZE_EVERY_DAYS days of streak, up to MAX_FREEZES, and they are used up
+// automatically when the user comes back.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREEZE_EVERY_DAYS = 7;
+export const MAX_FREEZES = 2;
+
+export const DEFAULT_GOALS = { dailyQuizGoal: 1, dailyCardGoal: 0, dailyMinutesGoal: 0 };
+
+export function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || !timezone) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * The local date of `now` in the timezone, as UTC midnight.
+ */
+export function localDate(timezone, now = new Date()) {
+  // en-CA formats dates as YYYY-MM-DD
+  const day = new Intl.DateTimeFormat("en-CA", {
+    timeZone: isValidTimezone(timezone) ? timezone : "UTC",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(now);
+  return new Date(`${day}T00:00:00Z`);
+}
+
+/**
+ * How far the timezone's wall clock is ahead of UTC at `now`, in ms.
+ */
+export function timezoneOffsetMs(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: isValidTimezone(timezone) ? timezone : "UTC",
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(now);
+  const part = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  const wallClock = Date.UTC(part("year"), part("month") - 1, part("day"), part("hour"), part("minute"), part("second"));
+  return wallClock - Math.floor(now.getTime() / 1000) * 1000;
+}
+
+export function daysBetween(from, to) {
+  return Math.round((to.getTime() - from.getTime()) / DAY_MS);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+// A goal of 0 is disabled; the day counts as met once every enabled goal is
+function goalMet(activity, goals) {
+  return activity.quizzesTaken >= goals.dailyQuizGoal
+    && activity.cardsReviewed >= goals.dailyCardGoal
+    && activity.secondsStudied >= goals.dailyMinutesGoal * 60;
+}
+
+async function loadSettings(userId, db) {
+  const settings = await db.userSettings.findUnique({
+    where: { userId },
+    select: { timezone: true, dailyQuizGoal: true, dailyCardGoal: true, dailyMinutesGoal: true },
+  });
+  return { timezone: "UTC", ...DEFAULT_GOALS, ...settings };
+}
+
+/**
+ * Streak after studying on `today`, given the stored streak state.
+ * @returns {{ currentStreak: number, longestStreak: number, streakFreezes: number, frozenDays: Date[] }|null} null if today was already counted
+ */
+export function nextStreak(user, today) {
+  const last = user.lastActiveDate;
+  if (last && daysBetween(last, today) <= 0) return null;
+
+  const missed = last ? daysBetween(last, today) - 1 : 0;
+  let currentStreak = 1;
+  let streakFreezes = user.streakFreezes;
+  const frozenDays = [];
+
+  if (last && missed <= streakFreezes) {
+    // Frozen days keep the streak alive but don't extend it
+    for (let i = 1; i <= missed; i++) frozenDays.push(addDays(last, i));
+    streakFreezes -= missed;
+    currentStreak = user.currentStreak + 1;
+  }
+
+  if (currentStreak % FREEZE_EVERY_DAYS === 0 && streakFreezes < MAX_FREEZES) {
+    streakFreezes++;
+  }
+
+  return {
+    currentStreak,
+    longestStreak: Math.max(user.longestStreak, currentStreak),
+    streakFreezes,
+    frozenDays,
+  };
+}
+
+async function updateStreak(userId, today, db) {
+  const user = await db.user.findUnique({
+    where: { id: userId },
+    select: { currentStreak: true, longestStreak: true, lastActiveDate: true, streakFreezes: true },
+  });
+  const next = nextStreak(user, today);
+  if (!next) return;
+
+  // Only move the streak forward from the state we read, so two activities
+  // recorded at the same time can't both count the day
+  const claimed = await db.user.updateMany({
+    where: { id: userId, lastActiveDate: user.lastActiveDate },
+    data: {
+      currentStreak: next.currentStreak,
+      longestStreak: next.longestStreak,
+      streakFreezes: next.streakFreezes,
+      lastActiveDate: today,
+    },
+  });
+  if (claimed.count === 0) return;
+
+  for (const date of next.frozenDays) {
+    await db.dailyActivity.upsert({
+      where: { userId_date: { userId, date } },
+      create: { userId, date, frozen: true },
+      update: { frozen: true },
+    });
+  }
+
+  if (next.frozenDays.length > 0) {
+    console.log(`🧊 User ${userId} used ${next.frozenDays.length} streak freeze(s)`);
+  }
+  if (next.currentStreak > 1) {
+    console.log(`🔥 User ${userId} streak: ${next.currentStreak} days`);
+  }
+}
+
+/**
+ * Add study activity to the user's current day and move their streak.
+ * @param {number} userId
+ * @param {{ quizzes?: number, cards?: number, seconds?: number }} amounts
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function recordActivity(userId, { quizzes = 0, cards = 0, seconds = 0 }, db = prisma) {
+  const settings = await loadSettings(userId, db);
+  const today = localDate(settings.timezone);
+
+  const activity = await db.dailyActivity.upsert({
+    where: { userId_date: { userId, date: today } },
+    create: { userId, date: today, quizzesTaken: quizzes, cardsReviewed: cards, secondsStudied: seconds },
+    update: {
+      quizzesTaken: { increment: quizzes },
+      cardsReviewed: { increment: cards },
+      secondsStudied: { increment: seconds },
+    },
+  });
+
+  const met = goalMet(activity, settings);
+  if (met !== activity.goalMet) {
+    await db.dailyActivity.update({ where: { id: activity.id }, data: { goalMet: met } });
+  }
+
+  await updateStreak(userId, today, db);
+}
+
+function formatDay(activity, goals) {
+  return {
+    date: activity.date.toISOString().slice(0, 10),
+    quizzesTaken: activity.quizzesTaken,
+    cardsReviewed: activity.cardsReviewed,
+    minutesStudied: Math.floor(activity.secondsStudied / 60),
+    goalMet: goals ? goalMet(activity, goals) : activity.goalMet,
+    frozen: activity.frozen,
+  };
+}
+
+/**
+ * Streak counters and today's progress towards the daily goals.
+ * The stored streak is only updated on activity, so here it is reported as
+ * 0 once the missed days can no longer be covered by freezes.
+ */
+export async function getStreakSummary(userId) {
+  const settings = await loadSettings(userId, prisma);
+  const today = localDate(settings.timezone);
+
+  const [user, activity] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: { currentStreak: true, longestStreak: true, lastActiveDate: true, streakFreezes: true },
+    }),
+    prisma.dailyActivity.findUnique({ where: { userId_date: { userId, date: today } } }),
+  ]);
+
+  const missed = user.lastActiveDate ? daysBetween(user.lastActiveDate, today) - 1 : 0;
+  const alive = Boolean(user.lastActiveDate) && missed <= user.streakFreezes;
+  const activeToday = Boolean(activity && (activity.quizzesTaken > 0 || activity.cardsReviewed > 0));
+
+  return {
+    timezone: settings.timezone,
+    currentStreak: alive ? user.currentStreak : 0,
+    longestStreak: user.longestStreak,
+    streakFreezes: user.streakFreezes,
+    maxStreakFreezes: MAX_FREEZES,
+    activeToday,
+    // The streak needs a freeze (or ends) unless the user studies today
+    atRisk: alive && !activeToday,
+    today: formatDay(activity || { date: today, quizzesTaken: 0, cardsReviewed: 0, secondsStudied: 0, frozen: false }, settings),
+    goals: {
+      quizzes: settings.dailyQuizGoal,
+      cards: settings.dailyCardGoal,
+      minutes: settings.dailyMinutesGoal,
+    },
+  };
+}
+
+/**
+ * The user's last `days` days of activity, oldest first. Days without any
+ * activity are included with zeros.
+ */
+export async function getActivityHistory(userId, days = 30) {
+  const { timezone } = await loadSettings(userId, prisma);
+  const today = localDate(timezone);
+  const from = addDays(today, -(days - 1));
+
+  const rows = await prisma.dailyActivity.findMany({
+    where: { userId, date: { gte: from, lte: today } },
+    orderBy: { date: "asc" },
+  });
+  const byDate = new Map(rows.map((row) => [row.date.getTime(), row]));
+
+  const history = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(from, i);
+    history.push(formatDay(
+      byDate.get(date.getTime()) || { date, quizzesTaken: 0, cardsReviewed: 0, secondsStudied: 0, goalMet: false, frozen: false }
+    ));
+  }
+  return history;
+}
@@ -0,0 +1,123 @@
+import prisma from "../config/prisma.js";
+import { saveChallengeResult } from "./challenge.service.js";
+import { unusablePasswordHash } from "./credential.service.js";
+
+// ==================== BOT SERVICE ====================
+// Simulated opponents. Each level has its own bot account (User with
+// isBot = true) so bot challenges use the normal Challenge/ChallengeResult
+// tables. A bot plays when its human opponent plays: live in the WebSocket
+// game, or when the human submits an async result.
+//
+// Profiles can be tuned with BOT_PROFILES, e.g.
+//   BOT_PROFILES='{"hard":{"accuracy":0.95,"minResponseMs":1500}}'
+
+const DEFAULT_PROFILES = {
+  easy: { accuracy: 0.5, minResponseMs: 6000, maxResponseMs: 15000 },
+  medium: { accuracy: 0.7, minResponseMs: 4000, maxResponseMs: 10000 },
+  hard: { accuracy: 0.9, minResponseMs: 2000, maxResponseMs: 6000 },
+};
+
+export const BOT_LEVELS = Object.keys(DEFAULT_PROFILES);
+
+function loadProfiles() {
+  if (!process.env.BOT_PROFILES) return DEFAULT_PROFILES;
+  try {
+    const overrides = JSON.parse(process.env.BOT_PROFILES);
+    return Object.fromEntries(
+      BOT_LEVELS.map((level) => [level, { ...DEFAULT_PROFILES[level], ...overrides[level] }])
+    );
+  } catch (error) {
+    console.error("⚠️ Invalid BOT_PROFILES, using defaults:", error.message);
+    return DEFAULT_PROFILES;
+  }
+}
+
+const profiles = loadProfiles();
+
+export function getBotProfile(level) {
+  return profiles[level] || profiles.medium;
+}
+
+/**
+ * Simulate the bot answering one question.
+ * @returns {{ selectedAnswer: number, correct: boolean, timeMs: number }}
+ */
+export function simulateAnswer(question, profile) {
+  const { accuracy, minResponseMs, maxResponseMs } = profile;
+  const correct = Math.random() < accuracy;
+
+  let selectedAnswer = question.correctAnswer;
+  if (!correct) {
+    const wrong = question.options.map((_, i) => i).filter((i) => i !== question.correctAnswer);
+    selectedAnswer = wrong[Math.floor(Math.random() * wrong.length)];
+  }
+
+  const timeMs = Math.round(minResponseMs + Math.random() * (maxResponseMs - minResponseMs));
+  return { selectedAnswer, correct, timeMs };
+}
+
+/**
+ * Get (or create) the bot account for a level.
+ */
+export async function getBotUser(level = "medium") {
+  const botLevel = BOT_LEVELS.includes(level) ? level : "medium";
+  const label = botLevel.charAt(0).toUpperCase() + botLevel.slice(1);
+
+  return prisma.user.upsert({
+    where: { email: `bot-${botLevel}@bots.quirzy.app` },
+    update: {},
+    create: {
+      email: `bot-${botLevel}@bots.quirzy.app`,
+      name: `Quizbot (${label})`,
+      // Bots never sign in
+      password: await unusablePasswordHash(),
+      isBot: true,
+      botLevel,
+    },
+  });
+}
+
+/**
+ * Let the bot play a whole quiz at once and store its result.
+ * @param {object} challenge - challenge with quizId
+ * @param {object} bot - bot User
+ */
+export async function playBotTurn(challenge, bot, db = prisma) {
+  const questions = await db.question.findMany({
+    where: { quizId: challenge.quizId },
+    select: { id: true, options: true, correctAnswer: true },
+  });
+
+  const profile = getBotProfile(bot.botLevel);
+  const answers = questions.map((q) => simulateAnswer(q, profile));
+  const score = answers.filter((a) => a.correct).length;
+  const timeTaken = Math.round(answers.reduce((sum, a) => sum + a.timeMs, 0) / 1000);
+
+  const result = await saveChallengeResult({
+    challengeId: challenge.id,
+    userId: bot.id,
+    score,
+    totalQuestions: questions.length,
+    timeTaken,
+  }, db);
+
+  console.log(`🤖 ${bot.name} scored ${score}/${questions.length} in challenge ${challenge.id}`);
+  return result;
+}
+
+/**
+ * If the challenge's opponent is a bot that hasn't played yet, play its turn.
+ * @returns {Promise<object|null>} the bot's result, or null if there is no bot to play
+ */
+export async function ensureBotResult(challenge, db = prisma) {
+  const players = await db.user.findMany({
+    where: { id: { in: [challenge.challengerId, challenge.opponentId] }, isBot: true },
+  });
+  const bot = players[0];
+  if (!bot) return null;
+
+  const existing = await db.challengeResult.findUnique({
+    where: { challengeId_userId: { challengeId: challenge.id, userId: bot.id } },
+  });
+  return existing || playBotTurn(challenge, bot, db);
+}
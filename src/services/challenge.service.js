@@ -0,0 +1,144 @@
+import prisma from "../config/prisma.js";
+import { applyChallengeRatings } from "./rating.service.js";
+import { evaluateAchievements } from "./achievement.service.js";
+import { notifyUser } from "./notification.service.js";
+
+// ==================== CHALLENGE SERVICE ====================
+// Results and outcome of a challenge, shared by real-time and async play.
+
+// Statuses in which players may still submit results
+export const PLAYABLE_STATUSES = ["accepted", "in_progress"];
+
+// How long players have to play once a challenge is accepted
+export function playDeadlineFrom(acceptedAt) {
+  const hours = parseInt(process.env.CHALLENGE_PLAY_HOURS, 10) || 24;
+  return new Date(acceptedAt.getTime() + hours * 60 * 60 * 1000);
+}
+
+/**
+ * Decide the outcome from the players' results. Higher score wins; equal
+ * scores are a tie. A player with no result loses to one who played.
+ * @returns {{ winnerId: number|null, isTie: boolean }}
+ */
+export function decideWinner(challenge, results) {
+  const byUser = new Map(results.map((r) => [r.userId, r]));
+  const challenger = byUser.get(challenge.challengerId);
+  const opponent = byUser.get(challenge.opponentId);
+
+  if (!challenger && !opponent) return { winnerId: null, isTie: false };
+  if (!opponent) return { winnerId: challenge.challengerId, isTie: false };
+  if (!challenger) return { winnerId: challenge.opponentId, isTie: false };
+
+  if (challenger.score === opponent.score) return { winnerId: null, isTie: true };
+  return {
+    winnerId: challenger.score > opponent.score ? challenge.challengerId : challenge.opponentId,
+    isTie: false,
+  };
+}
+
+/**
+ * Store one player's result for a challenge (once per player).
+ * @param {object} data - { challengeId, userId, score, totalQuestions, timeTaken, quizResultId }
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function saveChallengeResult(data, db = prisma) {
+  return db.challengeResult.upsert({
+    where: { challengeId_userId: { challengeId: data.challengeId, userId: data.userId } },
+    update: {},
+    create: data,
+  });
+}
+
+/**
+ * Mark the challenge completed, record the winner and update both players'
+ * ratings, then notify them. A challenge nobody played is marked "expired"
+ * instead. Safe to call twice: only the first call finishes the challenge.
+ * @returns {Promise<object|null>} the finished challenge with results and ratingChanges, or null if already finished
+ */
+export async function completeChallenge(challengeId) {
+  const challenge = await prisma.challenge.findUnique({
+    where: { id: challengeId },
+    include: {
+      results: true,
+      challenger: { select: { id: true, name: true, isBot: true } },
+      opponent: { select: { id: true, name: true, isBot: true } },
+    },
+  });
+  if (!challenge || !PLAYABLE_STATUSES.includes(challenge.status)) return null;
+
+  const { winnerId, isTie } = decideWinner(challenge, challenge.results);
+  const status = challenge.results.length > 0 ? "completed" : "expired";
+  const completedAt = new Date();
+
+  const finished = await prisma.$transaction(async (tx) => {
+    const claimed = await tx.challenge.updateMany({
+      where: { id: challengeId, status: { in: PLAYABLE_STATUSES } },
+      data: { status, completedAt, winnerId },
+    });
+    if (claimed.count === 0) return null;
+
+    const done = { ...challenge, status, completedAt, winnerId, isTie, ratingChanges: [] };
+    if (status === "completed") {
+      done.ratingChanges = (await applyChallengeRatings(done, tx)) || [];
+    }
+    return done;
+  });
+  if (!finished) return null;
+
+  if (status === "expired") {
+    console.log(`⌛ Challenge ${challengeId} expired without being played`);
+  } else {
+    console.log(`🏆 Challenge ${challengeId} completed: ${isTie ? "tie" : `winner ${winnerId}`}`);
+    await notifyChallengeOutcome(finished);
+
+    const winner = [challenge.challenger, challenge.opponent].find((p) => p?.id === winnerId);
+    if (winner && !winner.isBot) await evaluateAchievements(winner.id, "challenge");
+  }
+  return finished;
+}
+
+/**
+ * Complete an accepted challenge whose play deadline has passed.
+ * @returns {Promise<object|null>} the finished challenge, or null if nothing changed
+ */
+export async function finalizeIfOverdue(challenge, now = new Date()) {
+  if (!PLAYABLE_STATUSES.includes(challenge.status)) return null;
+  if (!challenge.playDeadline || challenge.playDeadline > now) return null;
+  return completeChallenge(challenge.id);
+}
+
+// Tell both players who won (FCM)
+export async function notifyChallengeOutcome(challenge) {
+  const players = [challenge.challenger, challenge.opponent];
+  const scoreOf = (userId) => challenge.results.find((r) => r.userId === userId)?.score;
+
+  for (const player of players) {
+    if (!player || player.isBot) continue;
+    const other = players.find((p) => p.id !== player.id);
+
+    let title, body;
+    if (challenge.isTie) {
+      title = "🤝 It's a Tie!";
+      body = `You and ${other.name} tied your quiz battle.`;
+    } else if (challenge.winnerId === player.id) {
+      title = "🏆 You Won!";
+      body = `You beat ${other.name} in your quiz battle!`;
+    } else {
+      title = "😔 Challenge Lost";
+      body = `${other.name} won your quiz battle. Try a rematch!`;
+    }
+
+    await notifyUser(player.id, {
+      type: "challenge_completed",
+      title,
+      body,
+      data: {
+        challengeId: challenge.id,
+        winnerId: challenge.winnerId,
+        isTie: challenge.isTie,
+        yourScore: scoreOf(player.id),
+        opponentScore: scoreOf(other.id),
+      },
+    });
+  }
+}
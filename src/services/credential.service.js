@@ -0,0 +1,188 @@
+import bcrypt from "bcrypt";
+import crypto from "crypto";
+import prisma from "../config/prisma.js";
+import { revokeSessions } from "./session.service.js";
+
+// ==================== CREDENTIAL SERVICE ====================
+// The one place passwords are hashed and checked. Passwords are stored as
+// bcrypt hashes; accounts created before hashing was introduced still hold
+// the plaintext password, which verifyPassword() accepts once and flags for
+// rehashing.
+//
+// Password policy (env):
+//   PASSWORD_MIN_LENGTH          default 8
+//   PASSWORD_REQUIRE_LETTER      default true
+//   PASSWORD_REQUIRE_NUMBER      default true
+//   BCRYPT_ROUNDS                default 10
+//   PASSWORD_RESET_CODE_MINUTES  default 15
+
+// bcrypt ignores everything after 72 bytes
+const MAX_PASSWORD_BYTES = 72;
+const BCRYPT_HASH = /^\$2[aby]\$(\d{2})\$[./A-Za-z0-9]{53}$/;
+
+const bcryptRounds = () => parseInt(process.env.BCRYPT_ROUNDS, 10) || 10;
+
+export function getPasswordPolicy() {
+  return {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxBytes: MAX_PASSWORD_BYTES,
+    requireLetter: process.env.PASSWORD_REQUIRE_LETTER !== "false",
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== "false",
+  };
+}
+
+/**
+ * Check a new password against the policy.
+ * @returns {string|null} what's wrong with it, or null if it's acceptable
+ */
+export function validatePassword(password) {
+  const policy = getPasswordPolicy();
+
+  if (typeof password !== "string" || password.length < policy.minLength) {
+    return `Password must be at least ${policy.minLength} characters`;
+  }
+  if (Buffer.byteLength(password, "utf8") > policy.maxBytes) {
+    return `Password must be at most ${policy.maxBytes} bytes`;
+  }
+  if (policy.requireLetter && !/\p{L}/u.test(password)) {
+    return "Password must contain a letter";
+  }
+  if (policy.requireNumber && !/\d/.test(password)) {
+    return "Password must contain a number";
+  }
+  return null;
+}
+
+export function isPasswordHash(stored) {
+  return typeof stored === "string" && BCRYPT_HASH.test(stored);
+}
+
+export function hashPassword(password) {
+  return bcrypt.hash(password, bcryptRounds());
+}
+
+// Hash of a random secret, for accounts that never sign in with a password
+// (Google accounts, bots)
+export function unusablePasswordHash() {
+  return hashPassword(crypto.randomBytes(32).toString("hex"));
+}
+
+// Compared against when the account doesn't exist, so unknown emails take
+// as long to reject as wrong passwords
+let dummyHash;
+
+/**
+ * Check a password against a user's stored password.
+ * @param {{ password: string }|null} user
+ * @param {string} password
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>} needsRehash is
+ *   set for legacy plaintext rows and hashes made with other bcrypt rounds
+ */
+export async function verifyPassword(user, password) {
+  if (typeof password !== "string") return { valid: false, needsRehash: false };
+
+  if (!user) {
+    dummyHash ||= await unusablePasswordHash();
+    await bcrypt.compare(password, dummyHash);
+    return { valid: false, needsRehash: false };
+  }
+
+  const match = BCRYPT_HASH.exec(user.password);
+  if (match) {
+    const valid = await bcrypt.compare(password, user.password);
+    return { valid, needsRehash: valid && parseInt(match[1], 10) !== bcryptRounds() };
+  }
+
+  // Legacy plaintext password
+  const stored = Buffer.from(String(user.password));
+  const given = Buffer.from(password);
+  const valid = stored.length === given.length && crypto.timingSafeEqual(stored, given);
+  return { valid, needsRehash: valid };
+}
+
+// ==================== ONE-TIME CODES ====================
+// 6-digit codes sent by email (password reset, email verification). Only
+// their SHA-256 is stored; each allows MAX_CODE_ATTEMPTS guesses and a new
+// one can be requested once CODE_RESEND_COOLDOWN_MS has passed.
+
+export const MAX_CODE_ATTEMPTS = 5;
+export const CODE_RESEND_COOLDOWN_MS = 60 * 1000;
+
+export function generateOneTimeCode() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+}
+
+export function hashOneTimeCode(code) {
+  return crypto.createHash("sha256").update(String(code)).digest("hex");
+}
+
+export function oneTimeCodeMatches(storedHash, code) {
+  const stored = Buffer.from(storedHash);
+  const given = Buffer.from(hashOneTimeCode(code));
+  return stored.length === given.length && crypto.timingSafeEqual(stored, given);
+}
+
+// ==================== PASSWORD RESET ====================
+// A reset code expires after PASSWORD_RESET_CODE_MINUTES and works once. A
+// successful reset revokes every session (and bumps sessionVersion for tokens
+// from before sessions), signing the user out everywhere.
+
+export const resetCodeTtlMinutes = () => parseInt(process.env.PASSWORD_RESET_CODE_MINUTES, 10) || 15;
+
+/**
+ * Issue a new reset code for the user, replacing any previous one.
+ * @returns {Promise<{ code: string, expiresAt: Date }|null>} null if a code
+ *   was issued less than a minute ago
+ */
+export async function createPasswordResetCode(user, now = new Date()) {
+  const ttlMs = resetCodeTtlMinutes() * 60 * 1000;
+  const issuedAt = user.passwordResetExpires && user.passwordResetExpires.getTime() - ttlMs;
+  if (issuedAt && now.getTime() - issuedAt < CODE_RESEND_COOLDOWN_MS) return null;
+
+  const code = generateOneTimeCode();
+  const expiresAt = new Date(now.getTime() + ttlMs);
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { passwordResetCode: hashOneTimeCode(code), passwordResetExpires: expiresAt, passwordResetAttempts: 0 },
+  });
+  return { code, expiresAt };
+}
+
+/**
+ * Set a new password if the reset code matches. The new password must
+ * already have passed validatePassword().
+ * @returns {Promise<"reset"|"invalid"|"expired"|"too_many_attempts">}
+ */
+export async function resetPasswordWithCode(email, code, newPassword, now = new Date()) {
+  const user = await prisma.user.findUnique({
+    where: { email },
+    select: { id: true, passwordResetCode: true, passwordResetExpires: true },
+  });
+  if (!user?.passwordResetCode) return "invalid";
+  if (user.passwordResetExpires <= now) return "expired";
+
+  // Count the guess before checking it, so parallel guesses can't get past the limit
+  const counted = await prisma.user.updateMany({
+    where: { id: user.id, passwordResetCode: user.passwordResetCode, passwordResetAttempts: { lt: MAX_CODE_ATTEMPTS } },
+    data: { passwordResetAttempts: { increment: 1 } },
+  });
+  if (counted.count === 0) return "too_many_attempts";
+
+  if (!oneTimeCodeMatches(user.passwordResetCode, code)) return "invalid";
+
+  // Clearing the code in the same update makes it single-use
+  const claimed = await prisma.user.updateMany({
+    where: { id: user.id, passwordResetCode: user.passwordResetCode, passwordResetExpires: { gt: now } },
+    data: {
+      password: await hashPassword(newPassword),
+      passwordResetCode: null,
+      passwordResetExpires: null,
+      passwordResetAttempts: 0,
+      sessionVersion: { increment: 1 },
+    },
+  });
+  if (claimed.count === 0) return "invalid";
+
+  await revokeSessions({ userId: user.id }, "password_reset");
+  return "reset";
+}
@@ -0,0 +1,91 @@
+import prisma from "../config/prisma.js";
+
+// ==================== FRIEND SERVICE ====================
+// Friendship and block lookups shared by the friends, user and challenge
+// controllers.
+
+// Where-clause matching the pair in either direction
+function pairWhere(a, b, fields) {
+  const [x, y] = fields;
+  return {
+    OR: [
+      { [x]: a, [y]: b },
+      { [x]: b, [y]: a },
+    ],
+  };
+}
+
+/**
+ * The friendship row between two users (pending or accepted), if any.
+ */
+export async function findFriendship(userId, otherId, db = prisma) {
+  return db.friendship.findFirst({
+    where: pairWhere(userId, otherId, ["requesterId", "addresseeId"]),
+  });
+}
+
+export async function areFriends(userId, otherId, db = prisma) {
+  const friendship = await findFriendship(userId, otherId, db);
+  return friendship?.status === "accepted";
+}
+
+/**
+ * True when either user has blocked the other.
+ */
+export async function isBlockedBetween(userId, otherId, db = prisma) {
+  const block = await db.userBlock.findFirst({
+    where: pairWhere(userId, otherId, ["blockerId", "blockedId"]),
+    select: { id: true },
+  });
+  return Boolean(block);
+}
+
+/**
+ * IDs of users hidden from this user: those they blocked and those who
+ * blocked them.
+ */
+export async function hiddenUserIds(userId, db = prisma) {
+  const blocks = await db.userBlock.findMany({
+    where: { OR: [{ blockerId: userId }, { blockedId: userId }] },
+    select: { blockerId: true, blockedId: true },
+  });
+  return blocks.map((b) => (b.blockerId === userId ? b.blockedId : b.blockerId));
+}
+
+/**
+ * IDs of the user's accepted friends.
+ */
+export async function friendIds(userId, db = prisma) {
+  const friendships = await db.friendship.findMany({
+    where: {
+      status: "accepted",
+      OR: [{ requesterId: userId }, { addresseeId: userId }],
+    },
+    select: { requesterId: true, addresseeId: true },
+  });
+  return friendships.map((f) => (f.requesterId === userId ? f.addresseeId : f.requesterId));
+}
+
+/**
+ * Whether challengerId may challenge opponentId, honouring blocks and the
+ * opponent's friendsOnlyChallenges setting.
+ * @returns {Promise<{ allowed: boolean, reason?: string }>}
+ */
+export async function canChallenge(challengerId, opponentId, db = prisma) {
+  if (challengerId === opponentId) {
+    return { allowed: false, reason: "You can't challenge yourself" };
+  }
+  if (await isBlockedBetween(challengerId, opponentId, db)) {
+    return { allowed: false, reason: "You can't challenge this user" };
+  }
+
+  const settings = await db.userSettings.findUnique({
+    where: { userId: opponentId },
+    select: { friendsOnlyChallenges: true },
+  });
+  if (settings?.friendsOnlyChallenges && !(await areFriends(challengerId, opponentId, db))) {
+    return { allowed: false, reason: "This user only accepts challenges from friends" };
+  }
+
+  return { allowed: true };
+}
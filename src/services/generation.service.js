@@ -0,0 +1,199 @@
+import prisma from "../config/prisma.js";
+import { planProviders } from "./llm.service.js";
+import { generateRepairPrompt } from "../prompts/repairPrompt.js";
+
+// ==================== AI GENERATION PIPELINE ====================
+// Wraps the provider registry with bounded retries, exponential backoff,
+// a JSON "repair" pass and failover to the next provider. Every attempt is
+// recorded in an AiGeneration row so we know which provider produced what.
+//
+// Configuration:
+//   AI_MAX_ATTEMPTS             total attempts per request, all providers (default: 4)
+//   AI_MAX_RETRIES_PER_PROVIDER retries of a transient error before failing over (default: 1)
+//   AI_RETRY_BASE_MS            first backoff delay, doubled on each retry (default: 500)
+
+const MAX_BACKOFF_MS = 8000;
+
+function readIntEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Thrown when every attempt failed. `reason` is "parse" when providers
+// answered but never with usable JSON, "provider" when the calls failed.
+export class GenerationError extends Error {
+  constructor(message, { reason, attempts, generationId }) {
+    super(message);
+    this.name = "GenerationError";
+    this.reason = reason;
+    this.attempts = attempts;
+    this.generationId = generationId;
+  }
+}
+
+// Clean and parse JSON from an LLM response
+export function parseModelJSON(text) {
+  let cleanedText = (text || "").trim();
+
+  // Remove markdown code fences
+  cleanedText = cleanedText.replace(/^```json\n?/g, "").replace(/^```\n?/g, "").replace(/\n?```$/g, "").trim();
+
+  try {
+    return JSON.parse(cleanedText);
+  } catch (e) {
+    // Attempt to extract JSON substring
+    const firstBrace = cleanedText.indexOf("{");
+    const lastBrace = cleanedText.lastIndexOf("}");
+    if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+      return JSON.parse(cleanedText.substring(firstBrace, lastBrace + 1));
+    }
+    throw e;
+  }
+}
+
+// Quota, rate limit, overload and network errors are worth retrying.
+// Missing/invalid API keys are not.
+function isTransientError(error) {
+  const status = error?.status ?? error?.statusCode;
+  if (status === 429 || (status >= 500 && status < 600)) return true;
+
+  const msg = error?.message?.toLowerCase() || "";
+  return ["quota", "too many requests", "rate limit", "overloaded", "unavailable", "timeout", "timed out", "econnreset", "fetch failed"]
+    .some((needle) => msg.includes(needle));
+}
+
+async function saveGenerationLog({ userId, kind, status, provider, attempts, startedAt }) {
+  try {
+    const log = await prisma.aiGeneration.create({
+      data: {
+        userId: userId ?? null,
+        kind,
+        status,
+        provider,
+        attemptCount: attempts.length,
+        attempts,
+        durationMs: Date.now() - startedAt,
+      },
+    });
+    return log.id;
+  } catch (error) {
+    // Never fail a generation because the audit row could not be written
+    console.warn("⚠️ Failed to save AI generation log:", error.message);
+    return null;
+  }
+}
+
+/**
+ * Generate and parse a JSON document, retrying and failing over as needed.
+ *
+ * @param {object} request
+ * @param {string} request.kind       - "quiz" | "flashcards" | "studySet"
+ * @param {string} request.prompt
+ * @param {string} [request.system]
+ * @param {object} [request.params]   - generation parameters (topic, counts, ...)
+ * @param {number} [request.userId]   - owner of the generation log
+ * @param {function} [request.validate] - receives the parsed JSON, returns the
+ *   value to keep or throws when the document is unusable
+ * @returns {Promise<{ data: any, provider: string, generationId: number|null, attempts: object[] }>}
+ */
+export async function generateJSON({ kind, prompt, system, params, userId, validate = (data) => data }) {
+  const maxAttempts = Math.max(readIntEnv("AI_MAX_ATTEMPTS", 4), 1);
+  const maxRetries = readIntEnv("AI_MAX_RETRIES_PER_PROVIDER", 1);
+  const baseDelay = readIntEnv("AI_RETRY_BASE_MS", 500);
+
+  const startedAt = Date.now();
+  const attempts = [];
+  let lastError;
+  let lastReason = "provider";
+
+  const plan = planProviders();
+
+  const run = async (provider, phase, request) => {
+    const attemptStart = Date.now();
+    const attempt = { number: attempts.length + 1, provider: provider.name, phase };
+    attempts.push(attempt);
+
+    try {
+      console.log(`🤖 [${kind}] attempt ${attempt.number}/${maxAttempts}: ${provider.label} (${phase})`);
+      const text = await provider.generate(request);
+      attempt.responseLength = text.length;
+
+      let data;
+      try {
+        data = validate(parseModelJSON(text));
+      } catch (parseError) {
+        attempt.outcome = "invalid_output";
+        attempt.error = parseError.message;
+        return { text, parseError };
+      }
+
+      attempt.outcome = "success";
+      return { data };
+    } catch (error) {
+      attempt.outcome = "provider_error";
+      attempt.error = error.message;
+      return { error };
+    } finally {
+      attempt.durationMs = Date.now() - attemptStart;
+    }
+  };
+
+  for (const provider of plan) {
+    let retries = 0;
+
+    while (attempts.length < maxAttempts) {
+      const baseRequest = { kind, prompt, system, params };
+      const outcome = await run(provider, "generate", baseRequest);
+
+      if (outcome.data !== undefined) {
+        const generationId = await saveGenerationLog({ userId, kind, status: "succeeded", provider: provider.name, attempts, startedAt });
+        return { data: outcome.data, provider: provider.name, generationId, attempts };
+      }
+
+      if (outcome.parseError) {
+        lastError = outcome.parseError;
+        lastReason = "parse";
+        console.warn(`⚠️ ${provider.label} returned unusable JSON: ${outcome.parseError.message}`);
+
+        // One repair pass with the same provider, then fail over
+        if (attempts.length < maxAttempts) {
+          const repair = await run(provider, "repair", {
+            ...baseRequest,
+            prompt: generateRepairPrompt(outcome.text, outcome.parseError.message),
+          });
+          if (repair.data !== undefined) {
+            const generationId = await saveGenerationLog({ userId, kind, status: "succeeded", provider: provider.name, attempts, startedAt });
+            return { data: repair.data, provider: provider.name, generationId, attempts };
+          }
+          lastError = repair.parseError || repair.error;
+          if (repair.error) lastReason = "provider";
+        }
+        break;
+      }
+
+      lastError = outcome.error;
+      lastReason = "provider";
+      console.error(`❌ ${provider.label} failed: ${outcome.error.message}`);
+
+      if (!isTransientError(outcome.error) || retries >= maxRetries || attempts.length >= maxAttempts) {
+        break;
+      }
+
+      retries++;
+      const delay = Math.min(baseDelay * 2 ** (retries - 1), MAX_BACKOFF_MS);
+      console.log(`⏳ Retrying ${provider.label} in ${delay}ms`);
+      await sleep(delay);
+    }
+
+    if (attempts.length >= maxAttempts) break;
+  }
+
+  const generationId = await saveGenerationLog({ userId, kind, status: "failed", provider: null, attempts, startedAt });
+  throw new GenerationError(lastError?.message || "AI generation failed", {
+    reason: lastReason,
+    attempts,
+    generationId,
+  });
+}
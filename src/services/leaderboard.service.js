@@ -0,0 +1,159 @@
+import prisma from "../config/prisma.js";
+
+// ==================== LEADERBOARD SERVICE ====================
+// Leaderboards read from LeaderboardEntry, a table of running totals kept up
+// to date by recordLeaderboardPoints() when a ranked QuizResult is recorded:
+// a user's first result on a quiz they don't own (see quiz.service).
+// Users are ranked by points (correct answers), then accuracy.
+
+export const PERIODS = {
+  "all-time": "all",
+  weekly: "week",
+  monthly: "month",
+};
+
+const ALL_TIME_START = new Date(0);
+const ALL_TOPICS = "";
+
+// Topics are matched case-insensitively
+export function topicKey(topic) {
+  return (topic || "").trim().toLowerCase().slice(0, 100);
+}
+
+/**
+ * Start of the period containing `now` (UTC). Weeks start on Monday.
+ */
+export function periodStart(period, now = new Date()) {
+  if (period === "week") {
+    const day = (now.getUTCDay() + 6) % 7; // days since Monday
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - day));
+  }
+  if (period === "month") {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  }
+  return ALL_TIME_START;
+}
+
+/**
+ * Add a quiz result to the user's totals: every period, for all topics and
+ * for the result's topic.
+ * @param {object} result - QuizResult row
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function recordLeaderboardPoints(result, db = prisma) {
+  const topics = [ALL_TOPICS];
+  const key = topicKey(result.topic);
+  if (key) topics.push(key);
+
+  const now = result.createdAt || new Date();
+
+  for (const period of Object.values(PERIODS)) {
+    for (const topic of topics) {
+      const where = {
+        period_periodStart_topic_userId: {
+          period,
+          periodStart: periodStart(period, now),
+          topic,
+          userId: result.userId,
+        },
+      };
+
+      const entry = await db.leaderboardEntry.upsert({
+        where,
+        create: {
+          ...where.period_periodStart_topic_userId,
+          points: result.score,
+          answered: result.totalQuestions,
+          quizzes: 1,
+        },
+        update: {
+          points: { increment: result.score },
+          answered: { increment: result.totalQuestions },
+          quizzes: { increment: 1 },
+        },
+      });
+
+      await db.leaderboardEntry.update({
+        where: { id: entry.id },
+        data: { accuracy: entry.answered > 0 ? entry.points / entry.answered : 0 },
+      });
+    }
+  }
+}
+
+// Entries ranked above the given one
+function betterThan(entry) {
+  return {
+    OR: [
+      { points: { gt: entry.points } },
+      { points: entry.points, accuracy: { gt: entry.accuracy } },
+    ],
+  };
+}
+
+function formatEntry(entry, rank) {
+  return {
+    rank,
+    userId: entry.userId,
+    name: entry.user?.name,
+    points: entry.points,
+    accuracy: Math.round(entry.accuracy * 1000) / 10, // percentage, 1 decimal
+    quizzes: entry.quizzes,
+  };
+}
+
+/**
+ * Top `limit` users for a period/topic, plus the requesting user's own rank.
+ * Ties (same points and accuracy) share a rank.
+ * @param {object} options
+ * @param {string} options.period - "all", "week" or "month"
+ * @param {string} [options.topic] - topic name, or empty for all topics
+ * @param {number[]} [options.userIds] - restrict to these users (friends board)
+ * @param {number} options.userId - the requesting user
+ * @param {number} [options.limit]
+ */
+export async function getLeaderboard({ period, topic, userIds, userId, limit = 20 }) {
+  const scope = {
+    period,
+    periodStart: periodStart(period),
+    topic: topicKey(topic),
+    answered: { gt: 0 },
+    ...(userIds && { userId: { in: userIds } }),
+  };
+
+  const [top, mine] = await Promise.all([
+    prisma.leaderboardEntry.findMany({
+      where: scope,
+      include: { user: { select: { name: true } } },
+      orderBy: [{ points: "desc" }, { accuracy: "desc" }, { userId: "asc" }],
+      take: limit,
+    }),
+    prisma.leaderboardEntry.findFirst({
+      where: { ...scope, userId },
+      include: { user: { select: { name: true } } },
+    }),
+  ]);
+
+  const entries = [];
+  top.forEach((entry, index) => {
+    const previous = entries[index - 1];
+    const tied = previous && previous.points === entry.points && top[index - 1].accuracy === entry.accuracy;
+    entries.push(formatEntry(entry, tied ? previous.rank : index + 1));
+  });
+
+  let me = entries.find((e) => e.userId === userId) || null;
+  if (!me && mine) {
+    const ahead = await prisma.leaderboardEntry.count({
+      where: { ...scope, ...betterThan(mine) },
+    });
+    me = formatEntry(mine, ahead + 1);
+  }
+
+  return {
+    period,
+    periodStart: scope.periodStart,
+    topic: scope.topic || null,
+    entries,
+    me,
+  };
+}
@@ -0,0 +1,222 @@
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { Groq } from "groq-sdk";
+
+// ==================== LLM PROVIDER REGISTRY ====================
+// Every AI generator (quiz, flashcards, study sets) goes through this module
+// instead of holding its own Gemini/Groq client. Retries and failover live in
+// generation.service.js, which walks the plan returned by planProviders().
+//
+// Configuration (read at call time, not module load time):
+//   AI_PROVIDERS         comma separated provider names in preference order
+//                        (default: "gemini,groq")
+//   AI_ROUTING_POLICY    round-robin | weighted | primary-fallback | cheapest-first
+//                        (default: round-robin)
+//   AI_PROVIDER_WEIGHTS  weights for the weighted policy, e.g. "gemini:3,groq:1"
+//   AI_PRIMARY_PROVIDER  primary for primary-fallback (default: first of AI_PROVIDERS)
+//
+// Set AI_PROVIDERS=stub to run fully offline with deterministic output.
+
+// ==================== PROVIDERS ====================
+
+// Lazy clients so missing keys only fail the request that needs them
+let geminiClient;
+function getGeminiClient() {
+  if (!process.env.GEMINI_API_KEY) {
+    throw new Error("GEMINI_API_KEY is missing");
+  }
+  if (!geminiClient) {
+    geminiClient = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return geminiClient;
+}
+
+let groqClient;
+function getGroqClient() {
+  if (!process.env.GROQ_API_KEY) {
+    throw new Error("GROQ_API_KEY is missing");
+  }
+  if (!groqClient) {
+    groqClient = new Groq({ apiKey: process.env.GROQ_API_KEY });
+  }
+  return groqClient;
+}
+
+const geminiProvider = {
+  name: "gemini",
+  label: "GEMINI",
+  // Relative cost per 1M output tokens, only used for ordering
+  cost: 0.6,
+  isConfigured: () => Boolean(process.env.GEMINI_API_KEY),
+  async generate({ prompt, temperature = 0.7, maxOutputTokens = 8192 }) {
+    const model = getGeminiClient().getGenerativeModel({
+      model: process.env.GEMINI_MODEL_NAME || "gemini-2.5-flash",
+      generationConfig: {
+        temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens,
+        responseMimeType: "application/json",
+      },
+    });
+    const result = await model.generateContent(prompt);
+    const response = result?.response;
+    if (typeof response?.text === "function") return await response.text();
+    return JSON.stringify(result);
+  },
+};
+
+const groqProvider = {
+  name: "groq",
+  label: "GROQ (Llama)",
+  cost: 0.08,
+  isConfigured: () => Boolean(process.env.GROQ_API_KEY),
+  async generate({ prompt, system, temperature = 0.7, maxOutputTokens = 8192 }) {
+    const completion = await getGroqClient().chat.completions.create({
+      model: process.env.LLAMA_MODEL_NAME || "llama-3.1-8b-instant",
+      messages: [
+        { role: "system", content: system || "You are a JSON-only generator. Return only valid JSON." },
+        { role: "user", content: prompt },
+      ],
+      temperature,
+      max_completion_tokens: maxOutputTokens,
+    });
+    return completion.choices?.[0]?.message?.content || "";
+  },
+};
+
+// Offline provider: same input always gives the same output, no network.
+// Builds a response for the shape named by `kind` from `params`.
+const stubProvider = {
+  name: "stub",
+  label: "STUB",
+  cost: 0,
+  isConfigured: () => true,
+  async generate({ kind, params = {} }) {
+    const topic = params.topic || "General Knowledge";
+
+    const questions = (count) =>
+      Array.from({ length: count }, (_, i) => ({
+        questionText: `${topic}: sample question ${i + 1}?`,
+        options: ["Option A", "Option B", "Option C", "Option D"].map((o) => `${o} (${i + 1})`),
+        correctAnswer: i % 4,
+        explanation: `Option ${"ABCD"[i % 4]} is correct for question ${i + 1}.`,
+      }));
+
+    const cards = (count) =>
+      Array.from({ length: count }, (_, i) => ({
+        front: `${topic}: term ${i + 1}`,
+        back: `Definition of ${topic} term ${i + 1}`,
+      }));
+
+    switch (kind) {
+      case "quiz":
+        return JSON.stringify({ questions: questions(params.questionCount || 10) });
+      case "flashcards":
+        return JSON.stringify({ topic, cards: cards(params.cardCount || 10) });
+      case "studySet":
+        return JSON.stringify({
+          title: `${topic} Study Set`,
+          summary: `- Key points about ${topic}`,
+          podcastScript: [
+            { speaker: "Host", text: `Today we're talking about ${topic}.` },
+            { speaker: "Expert", text: `${topic} is easier than it looks.` },
+          ],
+          flashcards: cards(5),
+          quiz: questions(5),
+        });
+      default:
+        return JSON.stringify({});
+    }
+  },
+};
+
+const providers = new Map();
+
+export function registerProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+export function getProvider(name) {
+  return providers.get(name);
+}
+
+registerProvider(geminiProvider);
+registerProvider(groqProvider);
+registerProvider(stubProvider);
+
+// ==================== ROUTING POLICIES ====================
+// A policy receives the enabled providers (in configured order) and returns
+// the order in which they should be tried for one request. The first entry
+// is the preferred provider, the rest are failover candidates.
+
+let roundRobinCounter = 0;
+
+function parseWeights(value) {
+  const weights = {};
+  (value || "").split(",").forEach((pair) => {
+    const [name, weight] = pair.split(":").map((s) => s.trim());
+    const parsed = parseFloat(weight);
+    if (name && !isNaN(parsed) && parsed >= 0) weights[name] = parsed;
+  });
+  return weights;
+}
+
+const policies = {
+  "round-robin": (list) => {
+    const start = roundRobinCounter++ % list.length;
+    return [...list.slice(start), ...list.slice(0, start)];
+  },
+
+  weighted: (list, { random = Math.random } = {}) => {
+    const weights = parseWeights(process.env.AI_PROVIDER_WEIGHTS);
+    const weightOf = (p) => weights[p.name] ?? 1;
+    const total = list.reduce((sum, p) => sum + weightOf(p), 0);
+    if (total <= 0) return list;
+
+    let pick = random() * total;
+    const chosen = list.find((p) => (pick -= weightOf(p)) < 0) || list[list.length - 1];
+    return [chosen, ...list.filter((p) => p !== chosen)];
+  },
+
+  "primary-fallback": (list) => {
+    const primaryName = process.env.AI_PRIMARY_PROVIDER || list[0].name;
+    const primary = list.find((p) => p.name === primaryName);
+    return primary ? [primary, ...list.filter((p) => p !== primary)] : list;
+  },
+
+  "cheapest-first": (list) => [...list].sort((a, b) => a.cost - b.cost),
+};
+
+export const ROUTING_POLICIES = Object.keys(policies);
+
+// Enabled providers in configured order. Providers without an API key are
+// dropped so we never "fail over" to something that cannot work.
+function getEnabledProviders() {
+  const names = (process.env.AI_PROVIDERS || "gemini,groq")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean);
+
+  const configured = names
+    .map((name) => {
+      const provider = providers.get(name);
+      if (!provider) console.warn(`⚠️ Unknown AI provider "${name}" ignored`);
+      return provider;
+    })
+    .filter((p) => p && p.isConfigured());
+
+  if (configured.length === 0) {
+    throw new Error("No AI provider configured (check GEMINI_API_KEY / GROQ_API_KEY / AI_PROVIDERS)");
+  }
+  return configured;
+}
+
+// Ordered list of providers to try for a single request
+export function planProviders() {
+  const policyName = process.env.AI_ROUTING_POLICY || "round-robin";
+  const policy = policies[policyName];
+  if (!policy) {
+    throw new Error(`Unknown AI_ROUTING_POLICY "${policyName}"`);
+  }
+  return policy(getEnabledProviders());
+}
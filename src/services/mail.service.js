@@ -0,0 +1,98 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// ==================== MAIL SERVICE ====================
+// Outgoing email goes through sendMail(), which hands the message to the
+// transport named by MAIL_TRANSPORT. Two transports ship for development
+// and must be chosen explicitly; they refuse to run in production, where
+// messages carry live sign-in codes:
+//   console - prints the message to the log
+//   file    - writes each message as a JSON file into MAIL_DIR
+// A real provider is plugged in with registerMailTransport() at startup.
+// checkMailConfig() runs at startup and warns loudly when no usable
+// transport is configured; the API still starts, but mail fails to send.
+//
+// Env:
+//   MAIL_TRANSPORT   required to send mail; no default
+//   MAIL_FROM        default "Quirzy <no-reply@quirzy.app>"
+//   MAIL_DIR         default <os tmpdir>/quirzy-mail (file transport)
+
+const mailFrom = () => process.env.MAIL_FROM || "Quirzy <no-reply@quirzy.app>";
+const mailDir = () => process.env.MAIL_DIR || path.join(os.tmpdir(), "quirzy-mail");
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+const DEVELOPMENT_TRANSPORTS = ["console", "file"];
+
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  },
+
+  file: async (message) => {
+    const dir = mailDir();
+    await fs.mkdir(dir, { recursive: true });
+    const safeTo = message.to.replace(/[^a-zA-Z0-9@._-]/g, "_");
+    const file = path.join(dir, `${Date.now()}-${safeTo}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+    console.log(`📧 Mail to ${message.to} written to ${file}`);
+  },
+};
+
+/**
+ * Make a transport available under a name usable in MAIL_TRANSPORT.
+ * @param {string} name
+ * @param {(message: { from: string, to: string, subject: string, text: string, html?: string }) => Promise<void>} send
+ */
+export function registerMailTransport(name, send) {
+  transports[name] = send;
+}
+
+// The transport MAIL_TRANSPORT names, or why it can't be used
+function configuredTransport() {
+  const name = process.env.MAIL_TRANSPORT;
+  if (!name) {
+    return { error: "MAIL_TRANSPORT is not set" };
+  }
+  if (DEVELOPMENT_TRANSPORTS.includes(name) && isProduction()) {
+    return { error: `The "${name}" mail transport is for development only` };
+  }
+  if (!transports[name]) {
+    return { error: `Unknown mail transport "${name}"` };
+  }
+  return { transport: transports[name] };
+}
+
+/**
+ * Check the mail setup at startup, after any transports are registered.
+ * Without a usable transport no verification or password reset email can go
+ * out, so this warns loudly; it doesn't stop the server.
+ */
+export function checkMailConfig() {
+  const { error } = configuredTransport();
+  if (!error) return;
+
+  if (isProduction()) {
+    console.error(`${"!".repeat(50)}`);
+    console.error(`🚨 ${error}: verification and password reset emails can't be sent.`);
+    console.error("🚨 Register a mail provider with registerMailTransport() and set MAIL_TRANSPORT.");
+    console.error(`${"!".repeat(50)}`);
+    return;
+  }
+  console.warn(`⚠️ ${error}: emails will fail to send. Use MAIL_TRANSPORT=console or file while developing.`);
+}
+
+/**
+ * Send an email through the configured transport. Throws if no usable
+ * transport is configured or it fails.
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+export async function sendMail({ to, subject, text, html }) {
+  const { transport, error } = configuredTransport();
+  if (error) {
+    throw new Error(error);
+  }
+
+  await transport({ from: mailFrom(), to, subject, text, ...(html && { html }) });
+}
@@ -0,0 +1,239 @@
+import prisma from "../config/prisma.js";
+import { generateQuizForUser } from "./quiz.service.js";
+import { playDeadlineFrom } from "./challenge.service.js";
+import { hiddenUserIds } from "./friend.service.js";
+import { topicKey } from "./leaderboard.service.js";
+import { getBotUser } from "./bot.service.js";
+import { notifyUser } from "./notification.service.js";
+
+// ==================== MATCHMAKING SERVICE ====================
+// Users join a queue with a topic/difficulty preference. A new ticket is
+// paired with the oldest compatible waiting ticket; both players then get an
+// accepted Challenge with a freshly generated quiz. Tickets nobody matches
+// before expiresAt are paired with a bot instead.
+
+const MATCH_QUESTION_COUNT = 10;
+const BOT_FALLBACK_GIVE_UP_MS = 5 * 60 * 1000;
+
+export const ticketTimeoutMs = () =>
+  (parseInt(process.env.MATCHMAKING_TIMEOUT_SECONDS, 10) || 30) * 1000;
+
+// Both tickets' rating bands must accept the other player
+function ratingsCompatible(a, b) {
+  const difference = Math.abs(a.rating - b.rating);
+  return (a.ratingBand == null || difference <= a.ratingBand)
+    && (b.ratingBand == null || difference <= b.ratingBand);
+}
+
+export function formatTicket(ticket) {
+  return {
+    ticketId: ticket.id,
+    status: ticket.status,
+    topic: ticket.topic,
+    difficulty: ticket.difficulty,
+    ratingBand: ticket.ratingBand,
+    vsBot: ticket.vsBot,
+    challengeId: ticket.challengeId,
+    createdAt: ticket.createdAt,
+    expiresAt: ticket.expiresAt,
+    matchedAt: ticket.matchedAt,
+  };
+}
+
+function notifyMatchFound(userId, challenge, opponentName) {
+  return notifyUser(userId, {
+    type: "match_found",
+    title: "⚔️ Match Found!",
+    body: `You've been matched with ${opponentName}. Your quiz battle is ready!`,
+    data: {
+      challengeId: challenge.id,
+      opponentName,
+    },
+  });
+}
+
+// Generate the quiz and create an accepted challenge between two players
+async function createMatchChallenge({ challengerId, opponentId, topic, difficulty }) {
+  const { quiz } = await generateQuizForUser({
+    userId: challengerId,
+    topic,
+    questionCount: MATCH_QUESTION_COUNT,
+    difficulty,
+    owned: false,
+  });
+
+  const acceptedAt = new Date();
+  return prisma.challenge.create({
+    data: {
+      challengerId,
+      opponentId,
+      quizId: quiz.id,
+      status: "accepted",
+      expiresAt: acceptedAt,
+      acceptedAt,
+      playDeadline: playDeadlineFrom(acceptedAt),
+    },
+  });
+}
+
+/**
+ * Put the user in the queue, or match them straight away with a compatible
+ * waiting player. An existing waiting ticket of the user is replaced.
+ * @returns {Promise<object>} the user's ticket (status "waiting" or "matched")
+ */
+export async function joinQueue({ userId, topic, difficulty, ratingBand }) {
+  const now = new Date();
+
+  await prisma.matchmakingTicket.updateMany({
+    where: { userId, status: "waiting" },
+    data: { status: "cancelled" },
+  });
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { name: true, rating: true },
+  });
+  const key = topicKey(topic);
+  const mine = { rating: user.rating, ratingBand: ratingBand ?? null };
+
+  const hidden = await hiddenUserIds(userId);
+  const waiting = await prisma.matchmakingTicket.findMany({
+    where: {
+      status: "waiting",
+      topicKey: key,
+      difficulty,
+      expiresAt: { gt: now },
+      userId: { notIn: [userId, ...hidden] },
+    },
+    orderBy: { createdAt: "asc" },
+    take: 50,
+  });
+
+  for (const other of waiting.filter((t) => ratingsCompatible(mine, t))) {
+    // Claim the other ticket so two newcomers can't both take it
+    const claimed = await prisma.matchmakingTicket.updateMany({
+      where: { id: other.id, status: "waiting" },
+      data: { status: "matched", matchedAt: now },
+    });
+    if (claimed.count === 0) continue;
+
+    let challenge;
+    try {
+      challenge = await createMatchChallenge({
+        challengerId: other.userId,
+        opponentId: userId,
+        topic: other.topic,
+        difficulty,
+      });
+    } catch (error) {
+      // Put the other player back in the queue
+      await prisma.matchmakingTicket.update({
+        where: { id: other.id },
+        data: { status: "waiting", matchedAt: null },
+      });
+      throw error;
+    }
+
+    await prisma.matchmakingTicket.update({
+      where: { id: other.id },
+      data: { challengeId: challenge.id },
+    });
+    const ticket = await prisma.matchmakingTicket.create({
+      data: {
+        userId,
+        topic: topic.trim(),
+        topicKey: key,
+        difficulty,
+        rating: user.rating,
+        ratingBand: mine.ratingBand,
+        status: "matched",
+        challengeId: challenge.id,
+        expiresAt: now,
+        matchedAt: now,
+      },
+    });
+
+    console.log(`⚔️ Matched users ${other.userId} and ${userId} → challenge ${challenge.id}`);
+    await notifyMatchFound(other.userId, challenge, user.name);
+    return ticket;
+  }
+
+  const ticket = await prisma.matchmakingTicket.create({
+    data: {
+      userId,
+      topic: topic.trim(),
+      topicKey: key,
+      difficulty,
+      rating: user.rating,
+      ratingBand: mine.ratingBand,
+      expiresAt: new Date(now.getTime() + ticketTimeoutMs()),
+    },
+  });
+
+  console.log(`⏳ User ${userId} waiting for a match (ticket ${ticket.id})`);
+  return ticket;
+}
+
+/**
+ * Pair a timed-out ticket with a bot. The bot plays when the user does
+ * (live over the WebSocket, or when the user submits an async result).
+ * @returns {Promise<object|null>} the updated ticket, or null if it was no longer waiting
+ */
+export async function matchWithBot(ticket) {
+  const now = new Date();
+  const claimed = await prisma.matchmakingTicket.updateMany({
+    where: { id: ticket.id, status: "waiting" },
+    data: { status: "matched", vsBot: true, matchedAt: now },
+  });
+  if (claimed.count === 0) return null;
+
+  try {
+    const bot = await getBotUser(ticket.difficulty);
+    const challenge = await createMatchChallenge({
+      challengerId: ticket.userId,
+      opponentId: bot.id,
+      topic: ticket.topic,
+      difficulty: ticket.difficulty,
+    });
+
+    console.log(`🤖 Ticket ${ticket.id} timed out, matched with ${bot.name} → challenge ${challenge.id}`);
+    await notifyMatchFound(ticket.userId, challenge, bot.name);
+
+    return prisma.matchmakingTicket.update({
+      where: { id: ticket.id },
+      data: { challengeId: challenge.id },
+    });
+  } catch (error) {
+    // Leave it waiting so the next poll or job run retries, unless it has
+    // been failing for a while
+    const giveUp = now - ticket.createdAt > BOT_FALLBACK_GIVE_UP_MS;
+    await prisma.matchmakingTicket.update({
+      where: { id: ticket.id },
+      data: giveUp
+        ? { status: "cancelled", vsBot: false, matchedAt: null }
+        : { status: "waiting", vsBot: false, matchedAt: null },
+    });
+    throw error;
+  }
+}
+
+/**
+ * Scheduler job: match every timed-out ticket with a bot.
+ */
+export async function matchTimedOutTickets(now = new Date()) {
+  const expired = await prisma.matchmakingTicket.findMany({
+    where: { status: "waiting", expiresAt: { lte: now } },
+    orderBy: { createdAt: "asc" },
+    take: 20,
+  });
+
+  let matched = 0;
+  for (const ticket of expired) {
+    try {
+      if (await matchWithBot(ticket)) matched++;
+    } catch (error) {
+      console.error(`❌ Bot fallback failed for ticket ${ticket.id}:`, error.message);
+    }
+  }
+  return matched;
+}
@@ -0,0 +1,191 @@
+import prisma from "../config/prisma.js";
+import { revokeSessions } from "./session.service.js";
+import { notifyUser } from "./notification.service.js";
+import { PLAYABLE_STATUSES } from "./challenge.service.js";
+
+// ==================== MODERATION SERVICE ====================
+// Roles, suspensions and reported content.
+//   user      - everyone
+//   moderator - reviews reports, suspends users
+//   admin     - also changes roles and sees AI usage
+// Staff can only act on users ranked below them.
+
+export const ROLES = ["user", "moderator", "admin"];
+
+export const REPORT_STATUSES = ["open", "removed", "dismissed"];
+
+// What can be reported, and how to find and remove it
+const CONTENT = {
+  quiz: {
+    find: (id) => prisma.quiz.findUnique({ where: { id }, select: { id: true, userId: true, title: true } }),
+    // Challenges still to be played on it can't go ahead without it
+    remove: async (id) => {
+      await prisma.challenge.updateMany({
+        where: { quizId: id, status: { in: ["pending", ...PLAYABLE_STATUSES] } },
+        data: { status: "cancelled" },
+      });
+      await prisma.quiz.deleteMany({ where: { id } });
+    },
+  },
+  flashcardSet: {
+    find: (id) => prisma.flashcardSet.findUnique({ where: { id }, select: { id: true, userId: true, title: true } }),
+    remove: (id) => prisma.flashcardSet.deleteMany({ where: { id } }),
+  },
+  studySet: {
+    find: (id) => prisma.studySet.findUnique({ where: { id }, select: { id: true, userId: true, title: true } }),
+    remove: (id) => prisma.studySet.deleteMany({ where: { id } }),
+  },
+};
+
+export const REPORTABLE_CONTENT_TYPES = Object.keys(CONTENT);
+
+const roleRank = (role) => Math.max(ROLES.indexOf(role), 0);
+
+export function outranks(actorRole, targetRole) {
+  return roleRank(actorRole) > roleRank(targetRole);
+}
+
+/**
+ * The reported item, or null if it doesn't exist (anymore).
+ * @returns {Promise<{ id: number, userId: number|null, title: string }|null>}
+ */
+export function findContent(contentType, contentId) {
+  return CONTENT[contentType].find(contentId);
+}
+
+// ==================== SUSPENSIONS ====================
+
+/**
+ * Suspend a user: they are signed out everywhere and can't sign in again
+ * until unsuspended.
+ */
+export async function suspendUser(userId, reason) {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { suspendedAt: new Date(), suspendedReason: reason, sessionVersion: { increment: 1 } },
+  });
+  await revokeSessions({ userId }, "suspended");
+  console.log(`⛔ User ${userId} suspended: ${reason}`);
+  return user;
+}
+
+export async function unsuspendUser(userId) {
+  const user = await prisma.user.update({
+    where: { id: userId },
+    data: { suspendedAt: null, suspendedReason: null },
+  });
+  console.log(`✅ User ${userId} unsuspended`);
+  return user;
+}
+
+// ==================== REPORTS ====================
+
+/**
+ * File a report. Reporting the same item twice keeps the first report.
+ * @returns {Promise<{ report: object, created: boolean }>}
+ */
+export async function reportContent(reporterId, { contentType, contentId, reason }) {
+  const created = await prisma.report.createMany({
+    data: [{ reporterId, contentType, contentId, reason }],
+    skipDuplicates: true,
+  });
+  const report = await prisma.report.findUnique({
+    where: { reporterId_contentType_contentId: { reporterId, contentType, contentId } },
+  });
+  return { report, created: created.count > 0 };
+}
+
+/**
+ * Delete the reported item and close every open report about it. The owner
+ * is told their content was removed.
+ * @returns {Promise<number>} how many reports were closed
+ */
+export async function removeReportedContent(report, moderatorId) {
+  const content = await findContent(report.contentType, report.contentId);
+  await CONTENT[report.contentType].remove(report.contentId);
+
+  const { count } = await prisma.report.updateMany({
+    where: { contentType: report.contentType, contentId: report.contentId, status: "open" },
+    data: { status: "removed", resolvedById: moderatorId, resolvedAt: new Date() },
+  });
+
+  if (content) {
+    console.log(`🗑️ Removed reported ${report.contentType} ${report.contentId} of user ${content.userId}`);
+  }
+  // Challenge quizzes have no owner to tell
+  if (content?.userId) {
+    await notifyUser(content.userId, {
+      type: "content_removed",
+      title: "🚫 Content Removed",
+      body: `"${content.title}" was removed for breaking the community guidelines.`,
+      data: { contentType: report.contentType, contentId: report.contentId },
+    });
+  }
+  return count;
+}
+
+/**
+ * Close a report without acting on the content.
+ * @returns {Promise<boolean>} false if it was already closed
+ */
+export async function dismissOpenReport(reportId, moderatorId) {
+  const { count } = await prisma.report.updateMany({
+    where: { id: reportId, status: "open" },
+    data: { status: "dismissed", resolvedById: moderatorId, resolvedAt: new Date() },
+  });
+  return count > 0;
+}
+
+// ==================== AI USAGE ====================
+
+/**
+ * AI generation counts since `since`: by kind and outcome, by provider, and
+ * the heaviest users.
+ */
+export async function getAiUsage(since) {
+  const where = { createdAt: { gte: since } };
+
+  const [byKind, byProvider, byUser] = await Promise.all([
+    prisma.aiGeneration.groupBy({
+      by: ["kind", "status"],
+      where,
+      _count: { _all: true },
+      _avg: { durationMs: true, attemptCount: true },
+    }),
+    prisma.aiGeneration.groupBy({
+      by: ["provider"],
+      where: { ...where, status: "succeeded" },
+      _count: { _all: true },
+    }),
+    prisma.aiGeneration.groupBy({
+      by: ["userId"],
+      where: { ...where, userId: { not: null } },
+      _count: { _all: true },
+      orderBy: { _count: { userId: "desc" } },
+      take: 10,
+    }),
+  ]);
+
+  const users = await prisma.user.findMany({
+    where: { id: { in: byUser.map((row) => row.userId) } },
+    select: { id: true, name: true, email: true },
+  });
+  const usersById = new Map(users.map((u) => [u.id, u]));
+
+  return {
+    since,
+    total: byKind.reduce((sum, row) => sum + row._count._all, 0),
+    byKind: byKind.map((row) => ({
+      kind: row.kind,
+      status: row.status,
+      count: row._count._all,
+      avgDurationMs: Math.round(row._avg.durationMs || 0),
+      avgAttempts: Number((row._avg.attemptCount || 0).toFixed(2)),
+    })),
+    byProvider: byProvider.map((row) => ({ provider: row.provider, count: row._count._all })),
+    topUsers: byUser.map((row) => ({
+      user: usersById.get(row.userId) ?? { id: row.userId },
+      count: row._count._all,
+    })),
+  };
+}
@@ -0,0 +1,215 @@
+import prisma from "../config/prisma.js";
+import firebaseAdmin from "../config/firebase.js";
+import { isValidTimezone } from "./activity.service.js";
+
+// ==================== NOTIFICATION SERVICE ====================
+// Every notification goes through notifyUser(), which stores it in the
+// user's in-app inbox (Notification) and pushes it over FCM, recording the
+// delivery outcome. The push honours the user's preferences in UserSettings:
+//   - notificationsEnabled = false turns all pushes off
+//   - remindersEnabled = false turns off scheduled reminders only
+//   - nothing is sent during quiet hours (local time, may span midnight)
+// Notifications aren't emailed (mail.service only sends account mail), so
+// emailNotifications is not used here.
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// FCM errors meaning the token will never work again
+const INVALID_TOKEN_CODES = [
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+];
+
+export function isValidTime(value) {
+  return typeof value === "string" && TIME_PATTERN.test(value);
+}
+
+// "HH:MM" -> minutes since midnight
+export function parseTime(value) {
+  const [, hours, minutes] = TIME_PATTERN.exec(value);
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Minutes since local midnight of `now` in the timezone.
+ */
+export function localMinutes(timezone, now = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: isValidTimezone(timezone) ? timezone : "UTC",
+    hourCycle: "h23",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).formatToParts(now);
+  const part = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  return part("hour") * 60 + part("minute");
+}
+
+export function inQuietHours(settings, now = new Date()) {
+  if (!isValidTime(settings?.quietHoursStart) || !isValidTime(settings?.quietHoursEnd)) return false;
+
+  const start = parseTime(settings.quietHoursStart);
+  const end = parseTime(settings.quietHoursEnd);
+  const current = localMinutes(settings.timezone, now);
+
+  if (start === end) return false;
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end; // e.g. 22:00 - 07:00
+}
+
+// FCM data values must be strings
+function toData(type, data) {
+  const entries = Object.entries(data).map(([key, value]) => [key, value == null ? "" : String(value)]);
+  return { type, ...Object.fromEntries(entries) };
+}
+
+// Why the push can't be sent right now, or null if it can
+function pushSkipReason(user, category, now) {
+  if (firebaseAdmin.apps.length === 0) return "firebase_not_initialized";
+  if (!user.fcmToken) return "no_token";
+  if (user.settings?.notificationsEnabled === false) return "disabled";
+  if (category === "reminder" && user.settings?.remindersEnabled === false) return "reminders_disabled";
+  if (inQuietHours(user.settings, now)) return "quiet_hours";
+  return null;
+}
+
+// The token is dead: forget it, unless the app registered a new one meanwhile
+async function clearInvalidToken(userId, token) {
+  const cleared = await prisma.user.updateMany({
+    where: { id: userId, fcmToken: token },
+    data: { fcmToken: null },
+  });
+  if (cleared.count > 0) console.log(`🧹 Removed invalid FCM token of user ${userId}`);
+}
+
+/**
+ * Notify a user: store the notification in their inbox and push it over FCM
+ * if their settings allow it. Never throws: callers notify after their own
+ * change is saved, and a failed notification must not undo or fail it.
+ * @param {number} userId
+ * @param {{ type: string, title: string, body: string, data?: object }} message
+ * @param {{ category?: "transactional"|"reminder", now?: Date }} [options]
+ * @returns {Promise<{ sent: boolean, reason?: string, notification?: object }>} reason is set when nothing was pushed
+ */
+export async function notifyUser(userId, message, options = {}) {
+  try {
+    return await deliverNotification(userId, message, options);
+  } catch (error) {
+    console.error(`❌ Failed to notify user ${userId} (${message.type}):`, error.message);
+    return { sent: false, reason: "error" };
+  }
+}
+
+async function deliverNotification(userId, { type, title, body, data = {} }, { category = "transactional", now = new Date() }) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      fcmToken: true,
+      isBot: true,
+      settings: {
+        select: {
+          notificationsEnabled: true,
+          remindersEnabled: true,
+          quietHoursStart: true,
+          quietHoursEnd: true,
+          timezone: true,
+        },
+      },
+    },
+  });
+  if (!user || user.isBot) return { sent: false, reason: "no_user" };
+
+  // Reminders the user opted out of don't belong in the inbox either, and
+  // ones held back by quiet hours will be sent again later
+  const reason = pushSkipReason(user, category, now);
+  if (category === "reminder" && ["reminders_disabled", "quiet_hours"].includes(reason)) {
+    console.log(`🔕 Skipped ${type} reminder to user ${userId}: ${reason}`);
+    return { sent: false, reason };
+  }
+
+  const notification = await prisma.notification.create({
+    data: {
+      userId,
+      type,
+      title,
+      body,
+      data,
+      deliveryStatus: reason ? "skipped" : "pending",
+      deliveryError: reason,
+    },
+  });
+
+  if (reason) {
+    console.log(`🔕 Skipped ${type} push to user ${userId}: ${reason}`);
+    return { sent: false, reason, notification };
+  }
+
+  try {
+    await firebaseAdmin.messaging().send({
+      data: toData(type, { ...data, notificationId: notification.id }),
+      notification: { title, body },
+      token: user.fcmToken,
+    });
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { deliveryStatus: "sent", deliveredAt: new Date() },
+    });
+    console.log(`📲 Sent ${type} push to user ${userId}`);
+    return { sent: true, notification };
+  } catch (error) {
+    console.error(`❌ Failed to send ${type} notification:`, error.message);
+    await prisma.notification.update({
+      where: { id: notification.id },
+      data: { deliveryStatus: "failed", deliveryError: error.code || error.message },
+    });
+    if (INVALID_TOKEN_CODES.includes(error.code)) {
+      await clearInvalidToken(userId, user.fcmToken);
+    }
+    return { sent: false, reason: "failed", notification };
+  }
+}
+
+// ==================== INBOX ====================
+
+export function formatNotification(notification) {
+  return {
+    id: notification.id,
+    type: notification.type,
+    title: notification.title,
+    body: notification.body,
+    data: notification.data,
+    read: Boolean(notification.readAt),
+    readAt: notification.readAt,
+    createdAt: notification.createdAt,
+  };
+}
+
+export function countUnread(userId) {
+  return prisma.notification.count({ where: { userId, readAt: null } });
+}
+
+/**
+ * A page of the user's inbox, newest first.
+ * @param {object} options
+ * @param {number} [options.before] - notification id to page from (exclusive)
+ * @param {boolean} [options.unreadOnly]
+ * @param {number} [options.limit]
+ */
+export async function listNotifications(userId, { before, unreadOnly = false, limit = 20 } = {}) {
+  const notifications = await prisma.notification.findMany({
+    where: {
+      userId,
+      ...(unreadOnly && { readAt: null }),
+      ...(before && { id: { lt: before } }),
+    },
+    orderBy: { id: "desc" },
+    take: limit + 1,
+  });
+
+  const hasMore = notifications.length > limit;
+  const page = notifications.slice(0, limit);
+  return {
+    notifications: page.map(formatNotification),
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+  };
+}
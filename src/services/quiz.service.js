@@ -0,0 +1,215 @@
+import prisma from "../config/prisma.js";
+import { generateJSON } from "./generation.service.js";
+import { quizQuestionSchema, validateItems } from "../schemas/aiOutput.schema.js";
+import { generateQuizPrompt } from "../prompts/quizGenrationPrompt.js";
+import { recordLeaderboardPoints } from "./leaderboard.service.js";
+import { recordActivity } from "./activity.service.js";
+import { PLAYABLE_STATUSES } from "./challenge.service.js";
+
+// ==================== QUIZ SERVICE ====================
+// Shared quiz logic used by the quiz, attempt and challenge controllers.
+
+export const QUIZ_DIFFICULTIES = ["easy", "medium", "hard"];
+
+const MAX_SECONDS_PER_QUESTION = 120;
+
+// Generated quizzes have between 10 and 50 questions
+export function clampQuestionCount(value, fallback = 15) {
+  return Math.min(Math.max(parseInt(value, 10) || fallback, 10), 50);
+}
+
+/**
+ * Generate a quiz with the AI pipeline and save it for the user.
+ * Throws GenerationError when no provider produced a usable quiz.
+ * @param {object} options - { userId, topic, questionCount, difficulty, owned }
+ *   owned: false saves the quiz without an owner (challenge quizzes, so the
+ *   player who asked for it can't open the answer key); the generation is
+ *   still counted against userId
+ * @returns {Promise<{ quiz: object, provider: string, generationId: number, issues: object[] }>}
+ */
+export async function generateQuizForUser({ userId, topic, questionCount, difficulty, owned = true }) {
+  const prompt = generateQuizPrompt(topic, questionCount, difficulty);
+
+  const { data: { questions, issues }, provider, generationId } = await generateJSON({
+    kind: "quiz",
+    prompt,
+    system: "You are a high-quality JSON-only quiz generator. Return only valid JSON.",
+    params: { topic, questionCount, difficulty },
+    userId,
+    validate: (data) => {
+      const { items, issues } = validateItems(quizQuestionSchema, data?.questions, "questions");
+      if (items.length === 0) {
+        throw new Error("No valid questions in response");
+      }
+      return { questions: items, issues };
+    },
+  });
+
+  const quiz = await prisma.quiz.create({
+    data: {
+      title: `${topic} Quiz`,
+      topic,
+      userId: owned ? userId : null,
+      generationId,
+      questions: {
+        create: questions.map((q, index) => ({
+          questionText: q.questionText,
+          options: q.options,
+          correctAnswer: q.correctAnswer,
+          explanation: q.explanation,
+          questionNumber: index + 1,
+        })),
+      },
+    },
+    include: {
+      questions: { orderBy: { questionNumber: "asc" } },
+    },
+  });
+
+  console.log(`💾 Quiz saved! ID: ${quiz.id} (by ${provider})`);
+  if (issues.length > 0) {
+    console.warn(`⚠️ ${issues.length} validation issue(s) in generated quiz ${quiz.id}`);
+  }
+
+  return { quiz, provider, generationId, issues };
+}
+
+/**
+ * Load a quiz the user may play: their own quiz, or the quiz attached to a
+ * challenge they take part in.
+ * @returns {Promise<object|null>} quiz with ordered questions, or null
+ */
+export async function findPlayableQuiz(userId, quizId) {
+  const quiz = await prisma.quiz.findUnique({
+    where: { id: quizId },
+    include: { questions: { orderBy: { questionNumber: "asc" } } },
+  });
+  if (!quiz) return null;
+  if (quiz.userId === userId) return quiz;
+
+  const challenge = await prisma.challenge.findFirst({
+    where: {
+      quizId,
+      OR: [{ challengerId: userId }, { opponentId: userId }],
+    },
+    select: { id: true },
+  });
+  return challenge ? quiz : null;
+}
+
+// Challenges of the user's that are still open and that they haven't played
+const unplayedChallengesWhere = (userId) => ({
+  status: { in: ["pending", ...PLAYABLE_STATUSES] },
+  OR: [{ challengerId: userId }, { opponentId: userId }],
+  results: { none: { userId } },
+});
+
+/**
+ * Whether the quiz is sealed for the user: it belongs to an open challenge
+ * they still have to play. Its answers stay hidden until they have played it,
+ * and it can't be played outside the challenge meanwhile.
+ */
+export async function isQuizSealed(userId, quizId) {
+  const challenge = await prisma.challenge.findFirst({
+    where: { ...unplayedChallengesWhere(userId), quizId },
+    select: { id: true },
+  });
+  return Boolean(challenge);
+}
+
+// Ids of every quiz sealed for the user (see isQuizSealed)
+export async function findSealedQuizIds(userId) {
+  const challenges = await prisma.challenge.findMany({
+    where: { ...unplayedChallengesWhere(userId), quizId: { not: null } },
+    select: { quizId: true },
+  });
+  return new Set(challenges.map((c) => c.quizId));
+}
+
+// Question as shown while playing: no answer key
+export function toPlayQuestion(q) {
+  return {
+    id: q.id,
+    questionNumber: q.questionNumber,
+    questionText: q.questionText,
+    options: q.options,
+  };
+}
+
+/**
+ * Score a set of answers against the stored questions.
+ * @param {object[]} questions - Question rows, in play order
+ * @param {Record<string, number>} answers - questionId -> selected option index
+ */
+export function scoreAnswers(questions, answers) {
+  let score = 0;
+  const userAnswers = questions.map((q) => {
+    const selected = answers[q.id];
+    if (selected === undefined || selected === null) return -1;
+    if (selected === q.correctAnswer) score++;
+    return selected;
+  });
+
+  const totalQuestions = questions.length;
+  return {
+    score,
+    totalQuestions,
+    percentage: totalQuestions > 0 ? (score / totalQuestions) * 100 : 0,
+    userAnswers,
+  };
+}
+
+// Snapshot stored on QuizResult so history survives quiz deletion
+export function toResultQuestions(questions) {
+  return questions.map((q) => ({
+    id: q.id,
+    questionNumber: q.questionNumber,
+    questionText: q.questionText,
+    options: q.options,
+    correctAnswer: q.correctAnswer,
+    explanation: q.explanation ?? null,
+  }));
+}
+
+// Stored result questions with the answer key and explanations left out
+export function withoutAnswerKey(questions) {
+  if (!Array.isArray(questions)) return [];
+  return questions.map((q) => {
+    if (!q || typeof q !== "object") return q;
+    const { correctAnswer, explanation, ...rest } = q;
+    return rest;
+  });
+}
+
+// A result is ranked - it earns leaderboard points and counts for quiz
+// achievements - only if it is the user's first on a quiz they don't own, so
+// replaying or generating quizzes can't farm either
+async function isRankedResult(data, db) {
+  if (!data.quizId) return false;
+
+  const quiz = await db.quiz.findUnique({ where: { id: data.quizId }, select: { userId: true } });
+  if (!quiz || quiz.userId === data.userId) return false;
+
+  const earlier = await db.quizResult.count({ where: { userId: data.userId, quizId: data.quizId } });
+  return earlier === 0;
+}
+
+/**
+ * Persist a QuizResult. Every result goes through here so follow-up
+ * bookkeeping has one place to hook into.
+ * @param {object} data - QuizResult fields
+ * @param {object} [db] - Prisma client or transaction client
+ */
+export async function recordQuizResult(data, db = prisma) {
+  const ranked = await isRankedResult(data, db);
+  const result = await db.quizResult.create({ data: { ...data, ranked } });
+  if (ranked) {
+    await recordLeaderboardPoints(result, db);
+  }
+  // Study time is capped at two minutes a question, so an attempt left open
+  // for hours doesn't count as hours of study
+  const seconds = Math.min(result.timeTaken || 0, result.totalQuestions * MAX_SECONDS_PER_QUESTION);
+  await recordActivity(result.userId, { quizzes: 1, seconds }, db);
+  console.log(`🏁 Quiz result saved for user ${data.userId}: ${data.score}/${data.totalQuestions}`);
+  return result;
+}
@@ -0,0 +1,74 @@
+import prisma from "../config/prisma.js";
+
+// ==================== RATING SERVICE ====================
+// Elo ratings updated from completed challenges.
+
+export const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;
+
+// Probability that a player rated `rating` beats one rated `opponentRating`
+export function expectedScore(rating, opponentRating) {
+  return 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+}
+
+/**
+ * New rating after one game.
+ * @param {number} rating - player's current rating
+ * @param {number} opponentRating
+ * @param {number} score - 1 win, 0.5 tie, 0 loss
+ */
+export function nextRating(rating, opponentRating, score, k = K_FACTOR) {
+  return Math.round(rating + k * (score - expectedScore(rating, opponentRating)));
+}
+
+// Public shape of a RatingHistory row
+export function toRatingChange({ userId, opponentId, result, ratingBefore, ratingAfter, change, createdAt }) {
+  return { userId, opponentId, result, ratingBefore, ratingAfter, change, createdAt };
+}
+
+/**
+ * Apply the rating change for a completed challenge to both players and
+ * record it in RatingHistory. Each challenge is rated once.
+ * @param {object} challenge - completed challenge with winnerId and isTie
+ * @param {object} [db] - Prisma client or transaction client
+ * @returns {Promise<object[]|null>} the two history rows, or null if not rated
+ */
+export async function applyChallengeRatings(challenge, db = prisma) {
+  const { challengerId, opponentId } = challenge;
+
+  const players = await db.user.findMany({
+    where: { id: { in: [challengerId, opponentId] } },
+    select: { id: true, rating: true, isBot: true },
+  });
+  // Games against bots are unrated
+  if (players.length !== 2 || players.some((p) => p.isBot)) return null;
+
+  const already = await db.ratingHistory.count({ where: { challengeId: challenge.id } });
+  if (already > 0) return null;
+
+  const ratingOf = (id) => players.find((p) => p.id === id).rating;
+  const scoreOf = (id) => (challenge.isTie ? 0.5 : challenge.winnerId === id ? 1 : 0);
+  const resultOf = (id) => (challenge.isTie ? "tie" : challenge.winnerId === id ? "win" : "loss");
+
+  const history = [];
+  for (const [userId, otherId] of [[challengerId, opponentId], [opponentId, challengerId]]) {
+    const ratingBefore = ratingOf(userId);
+    const ratingAfter = nextRating(ratingBefore, ratingOf(otherId), scoreOf(userId));
+
+    await db.user.update({ where: { id: userId }, data: { rating: ratingAfter } });
+    history.push(await db.ratingHistory.create({
+      data: {
+        userId,
+        challengeId: challenge.id,
+        opponentId: otherId,
+        result: resultOf(userId),
+        ratingBefore,
+        ratingAfter,
+        change: ratingAfter - ratingBefore,
+      },
+    }));
+  }
+
+  console.log(`📈 Ratings updated for challenge ${challenge.id}: ${history.map((h) => `${h.userId} ${h.change >= 0 ? "+" : ""}${h.change}`).join(", ")}`);
+  return history;
+}
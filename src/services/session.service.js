@@ -0,0 +1,166 @@
+import crypto from "crypto";
+import prisma from "../config/prisma.js";
+import { signAccessToken } from "./token.service.js";
+
+// ==================== SESSION SERVICE ====================
+// One Session per signed-in device. Signing in hands out a short-lived access
+// token and a refresh token; POST /auth/refresh trades the refresh token for
+// a new pair. Refresh tokens rotate: each works once, and presenting one that
+// was already exchanged means it leaked, so the whole session is revoked.
+// Only SHA-256 hashes of refresh tokens are stored.
+//
+// Env:
+//   REFRESH_TOKEN_DAYS   default 30 (a session unused this long expires)
+
+const SESSION_RETENTION_DAYS = 30;
+const MAX_DEVICE_FIELD_LENGTH = 255;
+
+const refreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const clip = (value) => (typeof value === "string" && value ? value.slice(0, MAX_DEVICE_FIELD_LENGTH) : null);
+
+async function issueRefreshToken(sessionId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await prisma.refreshToken.create({ data: { sessionId, tokenHash: hashToken(token) } });
+  return token;
+}
+
+/**
+ * Start a session for a user who just signed in.
+ * @param {{ id: number, role: string }} user
+ * @param {{ deviceName?: string, userAgent?: string, ipAddress?: string }} device
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: number }>}
+ */
+export async function startSession(user, { deviceName, userAgent, ipAddress } = {}, now = new Date()) {
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      deviceName: clip(deviceName),
+      userAgent: clip(userAgent),
+      ipAddress: clip(ipAddress),
+      expiresAt: new Date(now.getTime() + refreshTokenTtlMs()),
+    },
+  });
+
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: await issueRefreshToken(session.id),
+    sessionId: session.id,
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: number }|null>}
+ *   null if the token is unknown, expired, revoked or already used
+ */
+export async function refreshSession(refreshToken, now = new Date()) {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { session: { include: { user: { select: { id: true, role: true, suspendedAt: true } } } } },
+  });
+  if (!stored) return null;
+
+  const { session } = stored;
+  if (session.revokedAt || session.expiresAt <= now || session.user.suspendedAt) return null;
+
+  // Two requests may present the same token at once; only one may use it
+  const claimed = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, usedAt: null },
+    data: { usedAt: now },
+  });
+  if (claimed.count === 0) {
+    await revokeSessions({ id: session.id, userId: session.userId }, "refresh_token_reuse");
+    console.warn(`🚨 Refresh token reused on session ${session.id} of user ${session.userId}, session revoked`);
+    return null;
+  }
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { lastUsedAt: now, expiresAt: new Date(now.getTime() + refreshTokenTtlMs()) },
+  });
+
+  return {
+    token: signAccessToken(session.user, session.id),
+    refreshToken: await issueRefreshToken(session.id),
+    sessionId: session.id,
+  };
+}
+
+/**
+ * Revoke the user's active sessions matching `where`. Pushes stop going to
+ * the devices signed out.
+ * @param {{ userId: number }} where - Session filter; must include userId
+ * @param {"logout"|"revoked"|"password_reset"|"refresh_token_reuse"|"suspended"|"email_claimed"} reason
+ * @returns {Promise<number>} how many sessions were revoked
+ */
+export async function revokeSessions(where, reason) {
+  const sessions = await prisma.session.findMany({
+    where: { ...where, revokedAt: null },
+    select: { id: true, fcmToken: true },
+  });
+  if (sessions.length === 0) return 0;
+
+  const { count } = await prisma.session.updateMany({
+    where: { id: { in: sessions.map((s) => s.id) }, revokedAt: null },
+    data: { revokedAt: new Date(), revokedReason: reason },
+  });
+
+  const fcmTokens = sessions.map((s) => s.fcmToken).filter(Boolean);
+  if (fcmTokens.length > 0) {
+    await prisma.user.updateMany({
+      where: { id: where.userId, fcmToken: { in: fcmTokens } },
+      data: { fcmToken: null },
+    });
+  }
+
+  console.log(`🚪 Revoked ${count} session(s) of user ${where.userId}: ${reason}`);
+  return count;
+}
+
+// Remember which device a push token belongs to. A token moves with the
+// device, so older sessions that had it lose it.
+export async function setSessionFcmToken(sessionId, fcmToken) {
+  await prisma.session.updateMany({
+    where: { fcmToken, id: { not: sessionId } },
+    data: { fcmToken: null },
+  });
+  await prisma.session.update({ where: { id: sessionId }, data: { fcmToken } });
+}
+
+export function formatSession(session, currentSessionId) {
+  return {
+    id: session.id,
+    deviceName: session.deviceName,
+    userAgent: session.userAgent,
+    ipAddress: session.ipAddress,
+    fcmToken: session.fcmToken,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: session.id === currentSessionId,
+  };
+}
+
+/**
+ * The user's active sessions, most recently used first.
+ */
+export async function listSessions(userId, currentSessionId, now = new Date()) {
+  const sessions = await prisma.session.findMany({
+    where: { userId, revokedAt: null, expiresAt: { gt: now } },
+    orderBy: { lastUsedAt: "desc" },
+  });
+  return sessions.map((session) => formatSession(session, currentSessionId));
+}
+
+// Scheduler job: forget sessions that expired or were revoked a while ago
+// (their refresh tokens go with them)
+export async function pruneSessions(now = new Date()) {
+  const cutoff = new Date(now.getTime() - SESSION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  const { count } = await prisma.session.deleteMany({
+    where: { OR: [{ expiresAt: { lt: cutoff } }, { revokedAt: { lt: cutoff } }] },
+  });
+  return count;
+}
@@ -0,0 +1,76 @@
+import { localDate, timezoneOffsetMs } from "./activity.service.js";
+
+// ==================== SPACED REPETITION (SM-2) ====================
+// Classic SM-2 with four recall grades. "again" resets the card and brings
+// it back shortly, the others grow the interval by the card's ease factor.
+
+export const GRADES = ["again", "hard", "good", "easy"];
+
+// SM-2 quality score (0-5) for each grade
+const QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+
+const MIN_EASE = 1.3;
+const RELEARN_MINUTES = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Compute the next schedule for a card.
+ *
+ * @param {{ easeFactor: number, interval: number, repetitions: number, lapses: number }} card
+ * @param {"again"|"hard"|"good"|"easy"} grade
+ * @param {Date} [now]
+ * @returns {{ easeFactor: number, interval: number, repetitions: number, lapses: number, dueAt: Date }}
+ */
+export function scheduleReview(card, grade, now = new Date()) {
+  const quality = QUALITY[grade];
+  if (quality === undefined) {
+    throw new Error(`Invalid grade "${grade}"`);
+  }
+
+  const ease = card.easeFactor ?? 2.5;
+  const nextEase = Math.max(
+    MIN_EASE,
+    ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  );
+
+  if (grade === "again") {
+    return {
+      easeFactor: Math.max(MIN_EASE, ease - 0.2),
+      interval: 0,
+      repetitions: 0,
+      lapses: (card.lapses ?? 0) + 1,
+      dueAt: new Date(now.getTime() + RELEARN_MINUTES * 60 * 1000),
+    };
+  }
+
+  const repetitions = (card.repetitions ?? 0) + 1;
+  let interval;
+  if (repetitions === 1) {
+    interval = 1;
+  } else if (repetitions === 2) {
+    interval = 6;
+  } else {
+    interval = Math.round((card.interval || 1) * nextEase);
+  }
+
+  // "hard" grows slower, "easy" gets a bonus
+  if (grade === "hard") interval = Math.max(1, Math.round(interval * 0.8));
+  if (grade === "easy") interval = Math.round(interval * 1.3);
+
+  return {
+    easeFactor: Math.round(nextEase * 100) / 100,
+    interval,
+    repetitions,
+    lapses: card.lapses ?? 0,
+    dueAt: new Date(now.getTime() + interval * DAY_MS),
+  };
+}
+
+/**
+ * Last moment of the user's local day. Cards due until then count as due
+ * today, both in the review queue and for due-card reminders.
+ */
+export function endOfLocalDay(timezone, now = new Date()) {
+  const nextMidnight = localDate(timezone, now).getTime() + DAY_MS; // as local wall-clock time
+  return new Date(nextMidnight - timezoneOffsetMs(timezone, now) - 1);
+}
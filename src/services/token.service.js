@@ -0,0 +1,53 @@
+import jwt from "jsonwebtoken";
+import prisma from "../config/prisma.js";
+
+// ==================== TOKEN SERVICE ====================
+// Signs and checks the app's access tokens: short-lived JWTs naming the
+// session they belong to (see session.service) and the user's role. A token
+// stops working as soon as its session is revoked; a role change shows up in
+// the next token the session is given.
+//
+// 7-day tokens issued before sessions existed carry no session id. They stay
+// valid until they expire unless User.sessionVersion has been bumped since.
+//
+// Env:
+//   ACCESS_TOKEN_TTL   default "15m"
+
+const accessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || "15m";
+
+export function signAccessToken(user, sessionId) {
+  return jwt.sign({ userId: user.id, sid: sessionId, role: user.role }, process.env.JWT_SECRET, {
+    expiresIn: accessTokenTtl(),
+  });
+}
+
+/**
+ * Verify a token's signature and expiry, and that its session hasn't been
+ * revoked since it was issued.
+ * @returns {Promise<object>} the token payload
+ * @throws if the token is invalid, expired or revoked
+ */
+export async function verifyAuthToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (payload.sid) {
+    const session = await prisma.session.findUnique({
+      where: { id: payload.sid },
+      select: { userId: true, revokedAt: true },
+    });
+    if (!session || session.revokedAt || session.userId !== payload.userId) {
+      throw new Error("Session has been revoked");
+    }
+    return payload;
+  }
+
+  // Legacy token
+  const user = await prisma.user.findUnique({
+    where: { id: payload.userId },
+    select: { sessionVersion: true },
+  });
+  if (!user || (payload.sv ?? 0) !== user.sessionVersion) {
+    throw new Error("Session has been revoked");
+  }
+  return payload;
+}
@@ -0,0 +1,116 @@
+import prisma from "../config/prisma.js";
+import { sendMail } from "./mail.service.js";
+import {
+  MAX_CODE_ATTEMPTS,
+  CODE_RESEND_COOLDOWN_MS,
+  generateOneTimeCode,
+  hashOneTimeCode,
+  oneTimeCodeMatches,
+} from "./credential.service.js";
+
+// ==================== EMAIL VERIFICATION ====================
+// New accounts start unverified and are emailed a one-time code, which
+// expires after EMAIL_VERIFICATION_CODE_MINUTES (default 60). Until the code
+// is confirmed the user can't send challenges or be found in user search.
+// Google accounts count as verified when Google says the email is.
+//
+// EMAIL_VERIFICATION_URL, if set, adds a link to the email carrying the code
+// (e.g. a deep link into the app) next to the code itself.
+
+export const verificationCodeTtlMinutes = () =>
+  parseInt(process.env.EMAIL_VERIFICATION_CODE_MINUTES, 10) || 60;
+
+export function isEmailVerified(user) {
+  return Boolean(user?.emailVerifiedAt);
+}
+
+function verificationEmail(user, code) {
+  const lines = [
+    `Hi ${user.name},`,
+    "",
+    `Your Quirzy verification code is ${code}. It expires in ${verificationCodeTtlMinutes()} minutes.`,
+  ];
+
+  const baseUrl = process.env.EMAIL_VERIFICATION_URL;
+  if (baseUrl) {
+    const url = new URL(baseUrl);
+    url.searchParams.set("email", user.email);
+    url.searchParams.set("code", code);
+    lines.push("", `Or open this link: ${url}`);
+  }
+
+  lines.push("", "If you didn't create a Quirzy account, you can ignore this email.");
+  return {
+    to: user.email,
+    subject: "Verify your Quirzy email",
+    text: lines.join("\n"),
+  };
+}
+
+/**
+ * Email the user a new verification code, replacing any previous one.
+ * @returns {Promise<{ sent: boolean, reason?: "already_verified"|"too_soon", retryAfterSeconds?: number }>}
+ * @throws if the mail transport fails
+ */
+export async function sendVerificationEmail(user, now = new Date()) {
+  if (isEmailVerified(user)) return { sent: false, reason: "already_verified" };
+
+  const ttlMs = verificationCodeTtlMinutes() * 60 * 1000;
+  const issuedAt = user.emailVerificationExpires && user.emailVerificationExpires.getTime() - ttlMs;
+  if (issuedAt && now.getTime() - issuedAt < CODE_RESEND_COOLDOWN_MS) {
+    const retryAfterSeconds = Math.ceil((issuedAt + CODE_RESEND_COOLDOWN_MS - now.getTime()) / 1000);
+    return { sent: false, reason: "too_soon", retryAfterSeconds };
+  }
+
+  const code = generateOneTimeCode();
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      emailVerificationCode: hashOneTimeCode(code),
+      emailVerificationExpires: new Date(now.getTime() + ttlMs),
+      emailVerificationAttempts: 0,
+    },
+  });
+
+  await sendMail(verificationEmail(user, code));
+  console.log(`📨 Verification code sent to user ${user.id}`);
+  return { sent: true };
+}
+
+/**
+ * Mark the user's email verified if the code matches.
+ * @returns {Promise<"verified"|"already_verified"|"invalid"|"expired"|"too_many_attempts">}
+ */
+export async function verifyEmailWithCode(userId, code, now = new Date()) {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, emailVerifiedAt: true, emailVerificationCode: true, emailVerificationExpires: true },
+  });
+  if (isEmailVerified(user)) return "already_verified";
+  if (!user?.emailVerificationCode) return "invalid";
+  if (user.emailVerificationExpires <= now) return "expired";
+
+  // Count the guess before checking it, so parallel guesses can't get past the limit
+  const counted = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      emailVerificationCode: user.emailVerificationCode,
+      emailVerificationAttempts: { lt: MAX_CODE_ATTEMPTS },
+    },
+    data: { emailVerificationAttempts: { increment: 1 } },
+  });
+  if (counted.count === 0) return "too_many_attempts";
+
+  if (!oneTimeCodeMatches(user.emailVerificationCode, code)) return "invalid";
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      emailVerifiedAt: now,
+      emailVerificationCode: null,
+      emailVerificationExpires: null,
+      emailVerificationAttempts: 0,
+    },
+  });
+  return "verified";
+}